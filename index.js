@@ -10,13 +10,21 @@ const SYSTEM_PROMPT = `You are the admin assistant for the Sweeney family websit
 ## HOW TO RESPOND
 - For conversation (no page changes): just reply with text.
 - To create or edit a page: reply with a brief message explaining what you did, then call the generate_page tool with the complete HTML.
+- Look things up before guessing: read_page shows a page's current HTML, list_pages lists every page on the site,
+  get_calendar returns the family's upcoming events and get_recent_email returns the requester's latest inbox messages.
+  These run on the server and their results come straight back to you; call as many as you need, then finish.
+- To add, change or remove a calendar event: call get_calendar first (it gives today's date, member ids and event ids),
+  then call propose_calendar_event. Nothing is written until the family member confirms it, so say what you proposed and stop.
 
 ## EDIT MODE (when you receive [EDITING PAGE])
-You will receive the current HTML source. Make TARGETED edits:
+You will receive the current HTML source. Make TARGETED edits with the edit_page tool:
+- Each edit replaces one exact snippet: copy "search" character-for-character from the current source,
+  with enough surrounding lines that it matches only one place (or set replace_all)
+- Send all the edits for a request in a single edit_page call; if some fail to match you'll be told which, retry only those
 - Preserve existing structure, styles, and content unless asked to change them
 - Always keep: <script src="/shared/edit-widget.js"></script>
 - Always keep the "← Dashboard" link
-- Return the COMPLETE updated HTML via the generate_page tool
+- Only fall back to generate_page with the COMPLETE updated HTML when most of the page is being rewritten
 
 ## BUILD MODE
 Generate a COMPLETE, self-contained HTML page (HTML + CSS + JS in one file) via the generate_page tool.
@@ -25,7 +33,9 @@ Generate a COMPLETE, self-contained HTML page (HTML + CSS + JS in one file) via
 - Always include a "← Dashboard" link back to /
 - Always include: <script src="/shared/edit-widget.js"></script> before </body>
 - Mobile-responsive
-- Include realistic sample data
+- No scripts from other sites (CDNs): a deploy is rejected unless an external script has an integrity="sha384-..." hash
+- Never invent sample content: anything that belongs in a family data collection (see FAMILY DATA) is loaded from
+  and saved through the data API, with a friendly empty state when a collection has nothing in it yet
 
 ## SITE STRUCTURE
 - / — Family Dashboard
@@ -54,14 +64,147 @@ const TOOLS = [
       required: ['path', 'html'],
     },
   },
+  {
+    name: 'edit_page',
+    description: 'Apply targeted search/replace edits to an existing page instead of regenerating it. Each search string must appear verbatim in the current HTML.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'The URL path of the page being edited, e.g. "/recipes"' },
+        edits: {
+          type: 'array',
+          description: 'Edits applied in order, each to the result of the previous one',
+          items: {
+            type: 'object',
+            properties: {
+              search: { type: 'string', description: 'Exact text to find in the current HTML' },
+              replace: { type: 'string', description: 'Text to put in its place' },
+              replace_all: { type: 'boolean', description: 'Replace every occurrence instead of requiring a unique match' },
+            },
+            required: ['search', 'replace'],
+          },
+        },
+      },
+      required: ['path', 'edits'],
+    },
+  },
+  {
+    name: 'read_page',
+    description: 'Read the current HTML source of a page on the family website.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'The URL path of the page, e.g. "/recipes"' },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'list_pages',
+    description: 'List every page currently deployed on the family website.',
+    input_schema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'get_calendar',
+    description: "Get upcoming events from the family's connected Google calendars. Read-only.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', description: 'How many days ahead to look (default 14, max 60)' },
+      },
+    },
+  },
+  {
+    name: 'propose_calendar_event',
+    description: "Propose creating, changing or deleting a Google Calendar event. Nothing is written until the family member confirms the proposal in the admin panel; this ends your turn.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['create', 'update', 'delete'] },
+        member: { type: 'string', description: 'Id of the household member whose calendar this is, from get_calendar' },
+        account: { type: 'string', description: "Google account email, when the member has more than one (default: their first)" },
+        calendar_id: { type: 'string', description: 'Calendar id from get_calendar (default "primary")' },
+        event_id: { type: 'string', description: "Event id from get_calendar; required for update and delete. Use the event's seriesId to change every occurrence of a recurring event" },
+        title: { type: 'string' },
+        start: { type: 'string', description: 'Local time as YYYY-MM-DDTHH:MM, or YYYY-MM-DD for an all-day event' },
+        end: { type: 'string', description: 'Same format as start (default: an hour later, or the next day for all-day events); required when an update moves start' },
+        location: { type: 'string' },
+        description: { type: 'string' },
+        recurrence: { type: 'array', items: { type: 'string' }, description: 'RFC 5545 rules, e.g. ["RRULE:FREQ=WEEKLY;BYDAY=TU"]' },
+      },
+      required: ['action', 'member'],
+    },
+  },
+  {
+    name: 'get_recent_email',
+    description: "Get the latest inbox messages (sender, subject, snippet) of the family member you are talking to, or search their mail. Read-only.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        max: { type: 'integer', description: 'How many messages to return (default 10, max 25)' },
+        query: { type: 'string', description: 'Gmail search, e.g. "from:school" or "has:attachment newer_than:7d" (default: the inbox)' },
+      },
+    },
+  },
 ];
 
+const MAX_AGENT_STEPS = 8;
+const CHAT_MODEL = 'claude-sonnet-4-6';
+const DEFAULT_OUTPUT_TOKENS = 16384;
+const MAX_OUTPUT_TOKENS = 64000;
+const MAX_CONTINUATIONS = 2;
+const MAX_CLAUDE_RETRIES = 3;
+// Rate limited and overloaded — worth waiting out
+const RETRYABLE_CLAUDE_STATUSES = [429, 529];
+// Used once the monthly budget is spent and the budget is set to downgrade
+const BUDGET_MODEL = 'claude-haiku-4-5';
+
+// Stored chat history beyond this (rough token estimate) gets folded into a running summary
+const HISTORY_TOKEN_BUDGET = 50000;
+const KEEP_RECENT_MESSAGES = 8;
+const MAX_STORED_MESSAGES = 400;
+
+const CALENDAR_WRITE_SCOPE = 'https://www.googleapis.com/auth/calendar.events';
 const GOOGLE_SCOPES = [
   'https://www.googleapis.com/auth/calendar.readonly',
+  CALENDAR_WRITE_SCOPE,
   'https://www.googleapis.com/auth/gmail.readonly',
 ].join(' ');
+// Times without an offset (from the assistant, or typed in the UI) are read in this zone; override with FAMILY_TIMEZONE
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
 
-const VALID_USERS = ['chris', 'wife'];
+// Routes a viewer may use; everything else behind sign-in is admin-only
+const VIEWER_ROUTES = new Set([
+  'GET /api/auth/me', 'GET /api/members', 'PATCH /api/members', 'GET /api/connections',
+  'GET /api/google/auth', 'DELETE /api/google/disconnect', 'GET /api/calendar', 'GET /api/gmail',
+  'GET /api/calendar/calendars', 'PATCH /api/calendar/calendars', 'GET /api/gmail/labels', 'GET /api/gmail/message',
+  'GET /api/collections', 'GET /api/data',
+]);
+
+const SITE_ORIGIN = 'https://family.sweeneychris.com';
+const SESSION_COOKIE = 'sfa_session';
+const SESSION_TTL_SECONDS = 30 * 86400;
+const MAX_LOGIN_FAILURES = 10;
+
+// App data (members, chat sessions, usage, cache...) shares the TOKENS namespace under this prefix.
+// The code reads it as env.STORE, a view that adds and strips the prefix.
+const APP_KEY_PREFIX = 'app:';
+
+function prefixedKV(kv, prefix) {
+  return {
+    get: (key, options) => kv.get(prefix + key, options),
+    put: (key, value, options) => kv.put(prefix + key, value, options),
+    delete: key => kv.delete(prefix + key),
+    async list(options = {}) {
+      const page = await kv.list({ ...options, prefix: prefix + (options.prefix || '') });
+      return { ...page, keys: page.keys.map(k => ({ ...k, name: k.name.slice(prefix.length) })) };
+    },
+  };
+}
+
+function withAppStore(env) {
+  return { ...env, STORE: prefixedKV(env.TOKENS, APP_KEY_PREFIX) };
+}
 
 function getGoogleRedirectUri(request) {
   const url = new URL(request.url);
@@ -69,13 +212,14 @@ function getGoogleRedirectUri(request) {
 }
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
+    env = withAppStore(env);
     const url = new URL(request.url);
     const path = url.pathname;
 
     const corsHeaders = {
-      'Access-Control-Allow-Origin': 'https://family.sweeneychris.com',
-      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Origin': SITE_ORIGIN,
+      'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type',
       'Access-Control-Allow-Credentials': 'true',
     };
@@ -85,21 +229,74 @@ export default {
     }
 
     try {
-      if (path === '/api/chat' && request.method === 'POST') return await handleChat(request, env, corsHeaders);
-      if (path === '/api/deploy' && request.method === 'POST') return await handleDeploy(request, env, corsHeaders);
+      // Browsers always send Origin on cross-site writes; refuse any that didn't come from the site
+      const origin = request.headers.get('Origin');
+      if (request.method !== 'GET' && origin && origin !== SITE_ORIGIN) return json({ error: 'Forbidden origin' }, 403, corsHeaders);
+
+      if (path === '/api/auth/login' && request.method === 'POST') return await handleLogin(request, env, corsHeaders);
+      if (path === '/api/auth/logout' && request.method === 'POST') return handleLogout(corsHeaders);
+      if (path === '/api/google/callback' && request.method === 'GET') return await handleGoogleCallback(request, url, env);
+      if (path === '/api/preview' && request.method === 'GET') return await handlePreview(url, env);
+      if (path === '/api/calendar.ics' && request.method === 'GET') return await handleCalendarFeed(url, env, ctx);
+
+      const caller = await getSessionMember(request, env);
+      if (!caller) return json({ error: 'Not signed in' }, 401, corsHeaders);
+      if (caller.role !== 'admin' && !VIEWER_ROUTES.has(`${request.method} ${path}`)) return json({ error: 'Admins only' }, 403, corsHeaders);
+      const member = caller.id;
+
+      if (path === '/api/auth/me' && request.method === 'GET') return json({ user: member, name: caller.name, color: caller.color, role: caller.role }, 200, corsHeaders);
+      if (path === '/api/members' && request.method === 'GET') return await handleListMembers(env, corsHeaders);
+      if (path === '/api/members' && request.method === 'POST') return await handleAddMember(request, env, corsHeaders);
+      if (path === '/api/members' && request.method === 'PATCH') return await handleUpdateMember(request, url, env, corsHeaders, caller);
+      if (path === '/api/members' && request.method === 'DELETE') return await handleDeleteMember(url, env, corsHeaders, caller);
+      if (path === '/api/chat' && request.method === 'POST') return await handleChat(request, env, corsHeaders, member, ctx);
+      if (path === '/api/sessions' && request.method === 'GET') return await handleListSessions(url, env, corsHeaders, member);
+      if (path === '/api/sessions' && request.method === 'PATCH') return await handleRenameSession(request, url, env, corsHeaders, member);
+      if (path === '/api/sessions' && request.method === 'DELETE') return await handleDeleteSession(url, env, corsHeaders, member);
+      if (path === '/api/sessions/page' && request.method === 'GET') return await handleSessionPage(url, env, corsHeaders, member);
+      if (path === '/api/usage' && request.method === 'GET') return await handleUsage(url, env, corsHeaders);
+      if (path === '/api/usage/budget' && request.method === 'POST') return await handleSetBudget(request, env, corsHeaders);
+      if (path === '/api/validate' && request.method === 'POST') return await handleValidate(request, corsHeaders);
+      if (path === '/api/deploy' && request.method === 'POST') return await handleDeploy(request, env, corsHeaders, member);
+      if (path === '/api/previews' && request.method === 'GET') return await handleListPreviews(env, corsHeaders);
+      if (path === '/api/promote' && request.method === 'POST') return await handlePromote(request, env, corsHeaders, member);
       if (path === '/api/site-map' && request.method === 'POST') return await handleSiteMap(env, corsHeaders);
       if (path === '/api/page-source' && request.method === 'GET') return await handlePageSource(url, env, corsHeaders);
-      if (path === '/api/google/auth' && request.method === 'GET') return await handleGoogleAuth(request, url, env);
-      if (path === '/api/google/callback' && request.method === 'GET') return await handleGoogleCallback(request, url, env);
-      if (path === '/api/google/disconnect' && request.method === 'DELETE') return await handleDisconnect(url, env, corsHeaders);
-      if (path === '/api/calendar' && request.method === 'GET') return await handleCalendar(url, env, corsHeaders);
-      if (path === '/api/gmail' && request.method === 'GET') return await handleGmail(url, env, corsHeaders);
+      if (path === '/api/page-history' && request.method === 'GET') return await handlePageHistory(url, env, corsHeaders);
+      if (path === '/api/page-diff' && request.method === 'GET') return await handlePageDiff(url, env, corsHeaders);
+      if (path === '/api/page-rollback' && request.method === 'POST') return await handlePageRollback(request, env, corsHeaders, member);
+      if (path === '/api/google/auth' && request.method === 'GET') return await handleGoogleAuth(request, url, env, caller);
+      if (path === '/api/google/disconnect' && request.method === 'DELETE') return await handleDisconnect(url, env, corsHeaders, caller);
+      if (path === '/api/calendar' && request.method === 'GET') return await handleCalendar(url, env, corsHeaders, ctx);
+      if (path === '/api/calendar/calendars' && request.method === 'GET') return await handleListCalendars(url, env, corsHeaders, caller);
+      if (path === '/api/calendar/calendars' && request.method === 'PATCH') return await handleSelectCalendars(request, url, env, corsHeaders, caller);
+      if (path === '/api/calendar/events' && ['POST', 'PATCH', 'DELETE'].includes(request.method)) return await handleCalendarEvent(request, url, env, corsHeaders);
+      if (path === '/api/calendar/feed' && (request.method === 'GET' || request.method === 'POST')) return await handleCalendarFeedLink(request, url, env, corsHeaders);
+      if (path === '/api/collections' && request.method === 'GET') return await handleListCollections(env, corsHeaders);
+      if (path === '/api/collections' && request.method === 'POST') return await handleSaveCollection(request, url, env, corsHeaders);
+      if (path === '/api/collections' && request.method === 'DELETE') return await handleDeleteCollection(url, env, corsHeaders);
+      if (path === '/api/data' && request.method === 'GET') return await handleGetData(url, env, corsHeaders);
+      if (path === '/api/data' && request.method === 'POST') return await handleCreateData(request, url, env, corsHeaders, member);
+      if (path === '/api/data' && request.method === 'PATCH') return await handleUpdateData(request, url, env, corsHeaders, member);
+      if (path === '/api/data' && request.method === 'DELETE') return await handleDeleteData(url, env, corsHeaders);
+      if (path === '/api/digest' && request.method === 'GET') return await handleDigest(url, env, corsHeaders);
+      if (path === '/api/digest' && request.method === 'POST') return await handleRunDigest(env, corsHeaders);
+      if (path === '/api/digest/history' && request.method === 'GET') return await handleDigestHistory(env, corsHeaders);
+      if (path === '/api/gmail' && request.method === 'GET') return await handleGmail(url, env, corsHeaders, member, ctx);
+      if (path === '/api/gmail/labels' && request.method === 'GET') return await handleGmailLabels(env, corsHeaders, member);
+      if (path === '/api/gmail/message' && request.method === 'GET') return await handleGmailMessage(url, env, corsHeaders, member);
       if (path === '/api/connections' && request.method === 'GET') return await handleConnections(env, corsHeaders);
       return new Response('Not found', { status: 404 });
     } catch (err) {
+      if (err.code === 'invalid_path') return json({ error: err.message }, 400, corsHeaders);
       return json({ error: err.message }, 500, corsHeaders);
     }
   },
+
+  // Cron trigger (see wrangler.toml): the evening digest for the next day
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runDailyDigest(withAppStore(env), new Date(event.scheduledTime)));
+  },
 };
 
 function json(data, status = 200, corsHeaders = {}) {
@@ -109,8 +306,65 @@ function json(data, status = 200, corsHeaders = {}) {
   });
 }
 
-async function getGoogleAccessToken(userKey, env) {
-  const stored = await env.TOKENS.get(`google:${userKey}`, 'json');
+// ============================================================
+// Google token storage — access and refresh tokens are AES-GCM encrypted at rest
+// with a key derived from TOKEN_ENCRYPTION_KEY; email and timestamps stay readable.
+// ============================================================
+const ENCRYPTED_TOKEN_FIELDS = ['access_token', 'refresh_token'];
+
+async function tokenEncryptionKey(env) {
+  if (!env.TOKEN_ENCRYPTION_KEY) throw new Error('TOKEN_ENCRYPTION_KEY is not configured');
+  const digest = await crypto.subtle.digest('SHA-256', textEncoder.encode(env.TOKEN_ENCRYPTION_KEY));
+  return await crypto.subtle.importKey('raw', digest, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptSecret(plaintext, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, textEncoder.encode(plaintext));
+  return `v1.${base64UrlEncode(iv)}.${base64UrlEncode(new Uint8Array(ciphertext))}`;
+}
+
+async function decryptSecret(sealed, key) {
+  const [version, iv, ciphertext] = sealed.split('.');
+  if (version !== 'v1') throw new Error('Unknown token encryption version');
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlDecode(iv) }, key, base64UrlDecode(ciphertext));
+  return new TextDecoder().decode(plaintext);
+}
+
+// One record per linked account: google:<member>:<email>
+function googleTokenKey(memberId, email) {
+  return `google:${memberId}:${(email || '').toLowerCase()}`;
+}
+
+async function readGoogleTokens(tokenKey, env) {
+  const stored = await env.TOKENS.get(tokenKey, 'json');
+  if (!stored) return null;
+  const record = { ...stored };
+  let legacy = false;
+  const key = await tokenEncryptionKey(env);
+  for (const field of ENCRYPTED_TOKEN_FIELDS) {
+    if (stored[`${field}_enc`]) record[field] = await decryptSecret(stored[`${field}_enc`], key);
+    else if (stored[field]) legacy = true;
+    delete record[`${field}_enc`];
+  }
+  // Records written before encryption are sealed the first time they're read
+  if (legacy) await writeGoogleTokens(tokenKey, record, env);
+  return record;
+}
+
+async function writeGoogleTokens(tokenKey, record, env) {
+  const sealed = { ...record };
+  const key = await tokenEncryptionKey(env);
+  for (const field of ENCRYPTED_TOKEN_FIELDS) {
+    delete sealed[field];
+    if (record[field]) sealed[`${field}_enc`] = await encryptSecret(record[field], key);
+  }
+  await env.TOKENS.put(tokenKey, JSON.stringify(sealed));
+}
+
+async function getGoogleAccessToken(memberId, email, env) {
+  const tokenKey = googleTokenKey(memberId, email);
+  const stored = await readGoogleTokens(tokenKey, env);
   if (!stored || !stored.refresh_token) return null;
   if (stored.access_token && stored.expires_at && Date.now() < stored.expires_at - 300000) {
     return stored.access_token;
@@ -126,26 +380,348 @@ async function getGoogleAccessToken(userKey, env) {
     }),
   });
   const data = await res.json();
-  if (data.error) { await env.TOKENS.delete(`google:${userKey}`); return null; }
-  await env.TOKENS.put(`google:${userKey}`, JSON.stringify({
+  // A revoked grant won't come back; drop the tokens so the account shows as needing a reconnect.
+  // The registry is left alone: this runs inside the parallel loaders, which would race rewriting it.
+  if (data.error) { await env.TOKENS.delete(tokenKey); return null; }
+  await writeGoogleTokens(tokenKey, {
     ...stored, access_token: data.access_token, expires_at: Date.now() + (data.expires_in * 1000),
-  }));
+  }, env);
   return data.access_token;
 }
 
 // ============================================================
-// POST /api/chat — Uses Claude tool use for structured page generation
+// Sessions — HMAC-signed cookies issued by /api/auth/login
+// ============================================================
+const textEncoder = new TextEncoder();
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+function base64UrlEncode(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+  return Uint8Array.from(atob(str.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function hmacSha256(secret, data) {
+  const key = await crypto.subtle.importKey('raw', textEncoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, textEncoder.encode(data)));
+}
+
+// Signed, expiring token: base64url(JSON payload) + "." + base64url(HMAC). `typ` keeps one kind
+// of token from being accepted where another is expected.
+async function signToken(typ, payload, ttlSeconds, env) {
+  if (!env.SESSION_SECRET) throw new Error('SESSION_SECRET is not configured');
+  const body = base64UrlEncode(textEncoder.encode(JSON.stringify({ ...payload, typ, exp: Date.now() + ttlSeconds * 1000 })));
+  return `${body}.${base64UrlEncode(await hmacSha256(env.SESSION_SECRET, body))}`;
+}
+
+async function verifyToken(typ, token, env) {
+  if (!token || !env.SESSION_SECRET) return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+  try {
+    if (!timingSafeEqual(await hmacSha256(env.SESSION_SECRET, body), base64UrlDecode(sig))) return null;
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+    if (payload.typ !== typ || !payload.exp || Date.now() > payload.exp) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function getCookie(request, name) {
+  for (const part of (request.headers.get('Cookie') || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return rest.join('=');
+  }
+  return null;
+}
+
+function sessionCookie(value, maxAge) {
+  // SameSite=None so the cookie rides along on credentialed fetches from the family site
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; Secure; SameSite=None; Max-Age=${maxAge}`;
+}
+
+// The signed-in member's registry record, or null. Removing a member, or changing their password
+// (which bumps session_version), ends their sessions.
+async function getSessionMember(request, env) {
+  const session = await verifyToken('session', getCookie(request, SESSION_COOKIE), env);
+  if (!session) return null;
+  const member = findMember(await loadMembers(env), session.user);
+  return member && (session.v || 0) === (member.session_version || 0) ? member : null;
+}
+
+async function sessionCookieFor(member, env) {
+  const token = await signToken('session', { user: member.id, v: member.session_version || 0 }, SESSION_TTL_SECONDS, env);
+  return sessionCookie(token, SESSION_TTL_SECONDS);
+}
+
+async function checkPassword(member, password, env) {
+  if (typeof password !== 'string') return false;
+  if (member.password_hash) return await verifyPasswordHash(password, member.password_hash);
+  // Members without a stored hash fall back to the MEMBER_PASSWORDS secret
+  let passwords = {};
+  try { passwords = JSON.parse(env.MEMBER_PASSWORDS || '{}'); } catch {}
+  const expected = passwords[member.id];
+  if (!expected) return false;
+  // Compare MACs rather than the raw strings so timing reveals nothing about the password
+  const [a, b] = await Promise.all([hmacSha256(env.SESSION_SECRET, password), hmacSha256(env.SESSION_SECRET, expected)]);
+  return timingSafeEqual(a, b);
+}
+
+// Stored as pbkdf2-sha256$<iterations>$<salt>$<hash>, both base64url
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_HASH_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', textEncoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return `pbkdf2-sha256$${iterations}$${base64UrlEncode(salt)}$${base64UrlEncode(new Uint8Array(bits))}`;
+}
+
+async function verifyPasswordHash(password, stored) {
+  const [scheme, iterations, salt] = stored.split('$');
+  if (scheme !== 'pbkdf2-sha256') return false;
+  const actual = await hashPassword(password, base64UrlDecode(salt), parseInt(iterations));
+  return timingSafeEqual(textEncoder.encode(actual), textEncoder.encode(stored));
+}
+
+// ============================================================
+// POST /api/auth/login, POST /api/auth/logout
+// ============================================================
+async function handleLogin(request, env, corsHeaders) {
+  const { user, password } = await request.json();
+  const member = user ? findMember(await loadMembers(env), user) : null;
+  if (!member) return json({ error: 'Invalid user or password' }, 401, corsHeaders);
+
+  // Counted per address too, so someone guessing from elsewhere can't lock the member out
+  const failKey = `login-fail:${user}:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+  const failures = parseInt(await env.TOKENS.get(failKey) || '0');
+  if (failures >= MAX_LOGIN_FAILURES) return json({ error: 'Too many attempts, try again later' }, 429, corsHeaders);
+
+  if (!await checkPassword(member, password, env)) {
+    await env.TOKENS.put(failKey, String(failures + 1), { expirationTtl: 900 });
+    return json({ error: 'Invalid user or password' }, 401, corsHeaders);
+  }
+  if (failures) await env.TOKENS.delete(failKey);
+
+  return json({ user, name: member.name, color: member.color, role: member.role }, 200, { ...corsHeaders, 'Set-Cookie': await sessionCookieFor(member, env) });
+}
+
+function handleLogout(corsHeaders) {
+  return json({ success: true }, 200, { ...corsHeaders, 'Set-Cookie': sessionCookie('', 0) });
+}
+
+// ============================================================
+// Household members — one registry record per person in STORE under `members`:
+// { id, name, color, role, accounts: [{ email, connected_at }], password_hash? }.
+// Ids never change because chat sessions and Google tokens are keyed by them.
+// ============================================================
+const MEMBERS_KEY = 'members';
+const MEMBER_ROLES = ['admin', 'viewer'];
+const MEMBER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MEMBER_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MEMBER_COLORS = ['#4A7C59', '#C0627A', '#3E6FB0', '#D08C2E', '#7A5CA8', '#2E9C9C'];
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_HASH_ITERATIONS = 100000;
+// The registry starts out with these the first time it's read
+const DEFAULT_MEMBERS = [
+  { id: 'chris', name: 'Chris', role: 'admin' },
+  { id: 'wife', name: 'Wife', role: 'admin' },
+];
+
+async function loadMembers(env) {
+  return await env.STORE.get(MEMBERS_KEY, 'json') || await seedMembers(env);
+}
+
+async function saveMembers(env, members) {
+  await env.STORE.put(MEMBERS_KEY, JSON.stringify(members));
+}
+
+// Seeding is idempotent: the legacy token records are copied, never deleted, so two first requests
+// racing here (KV has no compare-and-set) write the same registry. Like the other single-key records,
+// a seed landing after an admin's first edit can still overwrite it; that window is accepted.
+async function seedMembers(env) {
+  const members = [];
+  for (const [i, seed] of DEFAULT_MEMBERS.entries()) {
+    const member = { ...seed, color: MEMBER_COLORS[i % MEMBER_COLORS.length], accounts: [], created_at: new Date().toISOString() };
+    // Before the registry each member had a single google:<member> token record. One without an
+    // email can't be keyed, so it's left for the member to reconnect.
+    const legacy = await env.TOKENS.get(`google:${seed.id}`, 'json');
+    if (legacy?.email) {
+      await env.TOKENS.put(googleTokenKey(seed.id, legacy.email), JSON.stringify(legacy));
+      member.accounts.push({ email: legacy.email, connected_at: legacy.connected_at || null });
+    }
+    members.push(member);
+  }
+  await saveMembers(env, members);
+  return members;
+}
+
+function findMember(members, id) {
+  return members.find(m => m.id === id) || null;
+}
+
+function publicMember(member) {
+  const { password_hash, session_version, ...rest } = member;
+  return { ...rest, has_password: !!password_hash };
+}
+
+// Accounts connected before calendar writes were added only granted read access
+function canWriteCalendar(account) {
+  return (account.scope || '').split(' ').includes(CALENDAR_WRITE_SCOPE);
+}
+
+// Every linked Google account, paired with the member it belongs to
+function linkedAccounts(members) {
+  return members.flatMap(member => (member.accounts || []).map(account => ({ member, account, email: account.email })));
+}
+
+async function linkGoogleAccount(env, memberId, email, scope) {
+  const members = await loadMembers(env);
+  const member = findMember(members, memberId);
+  if (!member) return;
+  // Reconnecting an account keeps its calendar choices
+  const existing = (member.accounts || []).find(a => a.email.toLowerCase() === email.toLowerCase());
+  const accounts = (member.accounts || []).filter(a => a !== existing);
+  member.accounts = [...accounts, { ...existing, email, scope: scope || '', connected_at: new Date().toISOString() }];
+  await saveMembers(env, members);
+  await clearMemberCache(env, memberId);
+}
+
+async function unlinkGoogleAccount(env, memberId, email) {
+  await env.TOKENS.delete(googleTokenKey(memberId, email));
+  const members = await loadMembers(env);
+  const member = findMember(members, memberId);
+  if (!member) return;
+  member.accounts = (member.accounts || []).filter(a => a.email.toLowerCase() !== (email || '').toLowerCase());
+  await saveMembers(env, members);
+  await clearMemberCache(env, memberId);
+}
+
+// Shared by add and update; only the fields present are checked
+function memberFieldError({ name, color, role, password }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'Name is required';
+  if (color !== undefined && !MEMBER_COLOR_PATTERN.test(color)) return 'Color must be a hex value like #4A7C59';
+  if (role !== undefined && !MEMBER_ROLES.includes(role)) return `Role must be one of: ${MEMBER_ROLES.join(', ')}`;
+  if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// ============================================================
+// /api/members — list (anyone), add and remove (admins), update (admins, or members for themselves)
+// ============================================================
+async function handleListMembers(env, corsHeaders) {
+  const members = await loadMembers(env);
+  return json({ members: members.map(publicMember) }, 200, corsHeaders);
+}
+
+async function handleAddMember(request, env, corsHeaders) {
+  const { id, name, color, role = 'viewer', password } = await request.json();
+  const invalid = memberFieldError({ name: name ?? '', color, role, password });
+  if (invalid) return json({ error: invalid }, 400, corsHeaders);
+  if (id !== undefined && id !== null && typeof id !== 'string') return json({ error: 'Id must be a string' }, 400, corsHeaders);
+  const memberId = id || name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+  if (!MEMBER_ID_PATTERN.test(memberId)) return json({ error: 'Id must be lowercase letters, digits and dashes' }, 400, corsHeaders);
+
+  const members = await loadMembers(env);
+  if (findMember(members, memberId)) return json({ error: `${memberId} already exists` }, 409, corsHeaders);
+  const member = {
+    id: memberId, name: name.trim(), color: color || MEMBER_COLORS[members.length % MEMBER_COLORS.length],
+    role, accounts: [], created_at: new Date().toISOString(),
+  };
+  if (password) member.password_hash = await hashPassword(password);
+  members.push(member);
+  await saveMembers(env, members);
+  return json({ member: publicMember(member) }, 200, corsHeaders);
+}
+
+async function handleUpdateMember(request, url, env, corsHeaders, caller) {
+  const memberId = url.searchParams.get('id');
+  const updates = await request.json();
+  const isAdmin = caller.role === 'admin';
+  if (memberId !== caller.id && !isAdmin) return json({ error: 'You can only change your own details' }, 403, corsHeaders);
+  if (updates.role !== undefined && !isAdmin) return json({ error: 'Only admins can change roles' }, 403, corsHeaders);
+  const invalid = memberFieldError(updates);
+  if (invalid) return json({ error: invalid }, 400, corsHeaders);
+
+  const members = await loadMembers(env);
+  const member = findMember(members, memberId);
+  if (!member) return json({ error: 'Member not found' }, 404, corsHeaders);
+  if (member.role === 'admin' && updates.role === 'viewer' && members.filter(m => m.role === 'admin').length === 1) {
+    return json({ error: 'The household needs at least one admin' }, 409, corsHeaders);
+  }
+
+  if (updates.name !== undefined) member.name = updates.name.trim();
+  if (updates.color !== undefined) member.color = updates.color;
+  if (updates.role !== undefined) member.role = updates.role;
+  // null clears the stored hash, falling back to MEMBER_PASSWORDS
+  if (updates.password === null) delete member.password_hash;
+  else if (updates.password !== undefined) member.password_hash = await hashPassword(updates.password);
+  // A new password signs the member out everywhere; whoever changed their own stays signed in here
+  const passwordChanged = updates.password !== undefined;
+  if (passwordChanged) member.session_version = (member.session_version || 0) + 1;
+  await saveMembers(env, members);
+  if (updates.name !== undefined || updates.color !== undefined) await clearMemberCache(env, member.id);
+  const headers = passwordChanged && member.id === caller.id ? { ...corsHeaders, 'Set-Cookie': await sessionCookieFor(member, env) } : corsHeaders;
+  return json({ member: publicMember(member) }, 200, headers);
+}
+
+async function handleDeleteMember(url, env, corsHeaders, caller) {
+  const memberId = url.searchParams.get('id');
+  if (memberId === caller.id) return json({ error: "You can't remove yourself" }, 400, corsHeaders);
+  const members = await loadMembers(env);
+  const member = findMember(members, memberId);
+  if (!member) return json({ error: 'Member not found' }, 404, corsHeaders);
+
+  await Promise.all((member.accounts || []).map(a => env.TOKENS.delete(googleTokenKey(member.id, a.email))));
+  await saveMembers(env, members.filter(m => m.id !== memberId));
+  await clearMemberCache(env, memberId);
+  return json({ success: true }, 200, corsHeaders);
+}
+
+// ============================================================
+// POST /api/chat — Claude tool use, with read-only tools executed here in a loop
 // ============================================================
-async function handleChat(request, env, corsHeaders) {
-  const { message, history = [], context = null } = await request.json();
+async function handleChat(request, env, corsHeaders, member, ctx) {
+  const { message, history = [], context = null, sessionId = null } = await request.json();
+
+  let session;
+  if (sessionId) {
+    session = await loadChatSession(env, member, sessionId);
+    if (!session) return json({ error: 'Session not found' }, 404, corsHeaders);
+  } else {
+    // A client that still sends `history` gets it imported into the new session
+    session = newChatSession(member, message, history);
+  }
 
-  const messages = [...history.map(h => ({ role: h.role, content: h.content }))];
+  const userMessage = { id: crypto.randomUUID(), role: 'user', content: message, at: new Date().toISOString() };
+  if (context?.path) userMessage.context = { mode: context.mode, path: context.path };
 
   let userContent = message;
   if (context && context.mode === 'edit' && context.currentSource) {
     userContent = `[EDITING PAGE: ${context.path}]\n[CURRENT HTML SOURCE]:\n${context.currentSource}\n\n[USER REQUEST]: ${message}`;
   }
-  messages.push({ role: 'user', content: userContent });
+
+  const budget = await getBudgetStatus(env);
+  if (budget.exceeded && budget.over_budget === 'refuse') {
+    return json({ error: 'Monthly assistant budget reached', code: 'budget_exceeded', budget }, 402, corsHeaders);
+  }
+  const model = budget.exceeded ? (env.CLAUDE_BUDGET_MODEL || BUDGET_MODEL) : undefined;
+  const meter = newUsageMeter();
+  let usagePath = context?.path || null;
 
   const { readable, writable } = new TransformStream();
   const writer = writable.getWriter();
@@ -156,116 +732,139 @@ async function handleChat(request, env, corsHeaders) {
     writer.write(encoder.encode(payload));
   }
 
+  let recorded = false;
   const streamPromise = (async () => {
     try {
-      const claudeRes = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': env.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01',
-        },
-        body: JSON.stringify({
-          model: 'claude-sonnet-4-6',
-          max_tokens: 16384,
-          stream: true,
-          thinking: { type: 'adaptive' },
-          system: SYSTEM_PROMPT,
-          tools: TOOLS,
-          messages,
-        }),
-      });
+      sendEvent('session', { sessionId: session.id });
+      if (model) sendEvent('status', { text: `Monthly budget reached, using ${model}` });
+      await compactChatSession(env, session, sendEvent, meter, model);
+      const system = chatSystemPrompt(session, await loadCollections(env), new URL(request.url).origin);
+      const messages = chatHistoryForModel(session);
+      messages.push({ role: 'user', content: userContent });
 
-      if (!claudeRes.ok) {
-        const err = await claudeRes.text();
-        sendEvent('error', { message: `Claude API error: ${claudeRes.status}` });
-        writer.close();
-        return;
-      }
+      const result = { message: '', page: null };
+      const status = { thinking: false, page: false, text: false };
+      let maxTokens = DEFAULT_OUTPUT_TOKENS;
+      let continuations = 0;
+      // Working copies of pages touched by edit_page, keyed by repo path
+      const drafts = new Map();
+      if (context && context.mode === 'edit' && context.currentSource) drafts.set(pageRepoPath(context.path), context.currentSource);
 
-      const reader = claudeRes.body.getReader();
-      const decoder = new TextDecoder();
-      let fullMessageText = '';
-      let toolCalls = [];
-      let sentPageStatus = false;
-      let sentThinkingStatus = false;
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (!line.startsWith('data: ')) continue;
-          const data = line.slice(6);
-          if (data === '[DONE]') continue;
-
-          try {
-            const event = JSON.parse(data);
-
-            // Thinking block started — show status
-            if (event.type === 'content_block_start' && event.content_block?.type === 'thinking') {
-              if (!sentThinkingStatus) {
-                sendEvent('status', { text: 'Thinking...' });
-                sentThinkingStatus = true;
-              }
-            }
-
-            // Tool use block started — buffer its JSON input
-            if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
-              toolCalls.push({ name: event.content_block.name, input_json: '' });
-              if (!sentPageStatus) {
-                sendEvent('status', { text: 'Building page...' });
-                sentPageStatus = true;
-              }
-            }
-
-            if (event.type === 'content_block_delta') {
-              if (event.delta?.type === 'text_delta') {
-                // Stream message text to the client in real-time
-                fullMessageText += event.delta.text;
-                sendEvent('text', { text: event.delta.text });
-              } else if (event.delta?.type === 'input_json_delta') {
-                // Buffer tool input JSON (not streamed to client)
-                const lastTool = toolCalls[toolCalls.length - 1];
-                if (lastTool) lastTool.input_json += event.delta.partial_json;
-              }
-              // thinking_delta is intentionally ignored — not shown to client
-            }
-          } catch {
-            // Skip unparseable lines
+      for (let step = 0; step < MAX_AGENT_STEPS; step++) {
+        const turn = await streamClaudeTurn(env, { system, messages, maxTokens, model }, sendEvent, status);
+        meterAdd(meter, turn.model, turn.usage);
+        result.message += turn.text;
+
+        if (turn.stopReason === 'max_tokens') {
+          if (continuations++ >= MAX_CONTINUATIONS) throw chatError('truncated', 'The reply was cut off at the output limit, even after continuing');
+          // Keep what was said, drop the half-written tool call, and ask for the rest with a bigger budget
+          const cutOff = turn.content[turn.content.length - 1];
+          // A tool call can't be resumed part-way, so asking again only helps if it gets more room this time
+          if (cutOff?.type === 'tool_use' && maxTokens >= MAX_OUTPUT_TOKENS) {
+            throw chatError('truncated', `The ${cutOff.name} call was too long to finish at the output limit${cutOff.name === 'generate_page' ? '; try asking for a smaller page, or for changes to it in steps' : ''}`);
           }
+          const kept = turn.content.filter(b => b.type === 'text' && b.text);
+          if (kept.length) messages.push({ role: 'assistant', content: kept });
+          messages.push({
+            role: 'user',
+            content: cutOff?.type === 'tool_use'
+              ? `[Your reply was cut off at the output limit while writing the ${cutOff.name} call. Call it again with the complete input.${cutOff.name === 'generate_page' ? ' If the page already exists, prefer edit_page with targeted edits.' : ''}]`
+              : '[Your reply was cut off at the output limit. Continue exactly where you left off.]',
+          });
+          maxTokens = MAX_OUTPUT_TOKENS;
+          // Continued text picks up mid-sentence, so don't insert a paragraph break before it
+          if (cutOff?.type !== 'tool_use') status.text = false;
+          sendEvent('status', { text: 'Reply was cut off, continuing...' });
+          continue;
         }
-      }
+        if (turn.stopReason === 'refusal') throw chatError('refused', 'Claude declined to answer this request');
 
-      // Build final result from text + tool calls
-      const result = { message: fullMessageText.trim(), page: null };
+        const toolCalls = turn.content.filter(b => b.type === 'tool_use');
+        const pageCall = toolCalls.find(t => t.name === 'generate_page');
+        if (pageCall) {
+          if (!pageCall.input?.html) throw chatError('invalid_page', 'Claude returned a page without any HTML');
+          result.page = { path: pageCall.input.path, html: pageCall.input.html };
+          break;
+        }
+        if (turn.stopReason !== 'tool_use' || !toolCalls.length) break;
 
-      const pageCall = toolCalls.find(t => t.name === 'generate_page');
-      if (pageCall) {
-        try {
-          const input = JSON.parse(pageCall.input_json);
-          result.page = { path: input.path, html: input.html };
-        } catch {}
+        // Hand the tool results back and let the model carry on
+        messages.push({ role: 'assistant', content: turn.content });
+        const toolResults = [];
+        // Every edit_page call this step, so one that failed isn't hidden by a later one that worked
+        let editCalls = 0;
+        let editsFailed = false;
+        const failedEdits = [];
+        let proposed = false;
+        for (const call of toolCalls) {
+          sendEvent('status', { text: toolStatusText(call) });
+          if (call.name === 'edit_page') {
+            editCalls++;
+            const outcome = await runEditPage(call, env, drafts, result.page?.path);
+            toolResults.push(outcome.toolResult);
+            if (!outcome.page) { editsFailed = true; continue; }
+            result.page = outcome.page;
+            result.edits = { applied: (result.edits?.applied || 0) + outcome.edits.applied, failed: [] };
+            failedEdits.push(...outcome.edits.failed);
+            if (outcome.edits.failed.length) editsFailed = true;
+          } else if (call.name === 'propose_calendar_event') {
+            const outcome = await runProposeCalendarEvent(call, env);
+            toolResults.push(outcome.toolResult);
+            if (!outcome.proposal) continue;
+            result.calendarProposals = [...(result.calendarProposals || []), outcome.proposal];
+            proposed = true;
+          } else {
+            toolResults.push(await runChatTool(call, env, member));
+          }
+        }
+        if (result.edits && editCalls) result.edits.failed = failedEdits;
+        // Every edit landed, or an event is waiting on the member's confirmation — nothing left for the model to do
+        if ((editCalls && !editsFailed) || proposed) break;
+        messages.push({ role: 'user', content: toolResults });
       }
 
+      result.message = result.message.trim();
       if (!result.message && result.page) {
         result.message = "Here's the updated page:";
       }
+      if (!result.message && result.calendarProposals) {
+        result.message = 'Confirm this calendar change:';
+      }
+      if (result.page) {
+        result.validation = validatePage(result.page.html, pageRepoPath(result.page.path));
+        usagePath = result.page.path;
+      }
+      result.usage = usageSummary(meter);
+
+      session.usage = addUsageTotals(session.usage || emptyUsage(), meter);
+      const assistantMessage = await recordChatTurn(env, session, userMessage, result);
+      recorded = true;
+      result.sessionId = session.id;
+      result.messageId = assistantMessage.id;
 
       sendEvent('done', result);
 
     } catch (err) {
-      sendEvent('error', { message: err.message });
+      sendEvent('error', { code: err.code || 'internal', message: err.message, retryable: !!err.retryable });
+      // Keep the member's message in the session, with the failed reply marked, rather than losing it
+      if (!recorded) {
+        try {
+          session.usage = addUsageTotals(session.usage || emptyUsage(), meter);
+          await recordChatTurn(env, session, userMessage, { message: '', error: { code: err.code || 'internal', message: err.message } });
+        } catch {}
+      }
     } finally {
+      // Failed turns still cost tokens, so they're recorded too — before closing, so the write lands
+      if (meter.calls) {
+        try {
+          await recordUsage(env, meter, { kind: 'chat', member, sessionId: session.id, path: usagePath });
+        } catch {}
+      }
       writer.close();
     }
   })();
+  // Keep the worker alive until the usage and session writes finish, even after the client has the whole stream
+  ctx.waitUntil(streamPromise);
 
   return new Response(readable, {
     headers: {
@@ -277,195 +876,2511 @@ async function handleChat(request, env, corsHeaders) {
   });
 }
 
-// ============================================================
-// POST /api/deploy
-// ============================================================
-async function handleDeploy(request, env, corsHeaders) {
-  const { html, path, filename = 'index.html' } = await request.json();
-  const cleanPath = path.replace(/^\//, '').replace(/\/$/, '');
-  const repoFilePath = (!cleanPath || cleanPath === 'dashboard') ? 'dashboard/index.html' : `dashboard/${cleanPath}/${filename}`;
-  const ghHeaders = {
-    'Authorization': `Bearer ${env.GITHUB_TOKEN}`,
-    'User-Agent': 'sweeneychris-admin',
-    'Accept': 'application/vnd.github.v3+json',
-  };
-  let existingSha = null;
-  const getRes = await fetch(`https://api.github.com/repos/${env.GITHUB_REPO_OWNER}/${env.GITHUB_REPO_NAME}/contents/${repoFilePath}?ref=main`, { headers: ghHeaders });
-  if (getRes.ok) existingSha = (await getRes.json()).sha;
-
-  const putRes = await fetch(`https://api.github.com/repos/${env.GITHUB_REPO_OWNER}/${env.GITHUB_REPO_NAME}/contents/${repoFilePath}`, {
-    method: 'PUT',
-    headers: { ...ghHeaders, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      message: `Deploy ${repoFilePath} via admin panel`,
-      content: btoa(unescape(encodeURIComponent(html))),
-      branch: 'main',
-      ...(existingSha ? { sha: existingSha } : {}),
-    }),
-  });
-  if (!putRes.ok) { const err = await putRes.json(); throw new Error(`GitHub: ${err.message}`); }
-  const result = await putRes.json();
-  return json({ success: true, path: repoFilePath, commitUrl: result.commit?.html_url, message: `Deployed to family.sweeneychris.com/${cleanPath}` }, 200, corsHeaders);
+// Errors surfaced to the client as SSE `error` events carry one of these codes:
+//   rate_limited, overloaded — Claude is busy even after retries (retryable)
+//   truncated — the reply kept hitting the output limit; invalid_page — a page call without HTML
+//   refused — Claude declined; invalid_path — a page path outside dashboard/; invalid_request, request_too_large, auth_error, api_error — other API failures
+//   internal — anything else
+function chatError(code, message, retryable = false) {
+  return Object.assign(new Error(message), { code, retryable });
 }
 
-// ============================================================
-// POST /api/site-map
-// ============================================================
-async function handleSiteMap(env, corsHeaders) {
-  const res = await fetch(`https://api.github.com/repos/${env.GITHUB_REPO_OWNER}/${env.GITHUB_REPO_NAME}/git/trees/main?recursive=1`, {
-    headers: { 'Authorization': `Bearer ${env.GITHUB_TOKEN}`, 'User-Agent': 'sweeneychris-admin', 'Accept': 'application/vnd.github.v3+json' },
-  });
-  const data = await res.json();
-  return json({ files: data.tree?.filter(f => f.path.endsWith('.html')).map(f => f.path) || [] }, 200, corsHeaders);
-}
+const CLAUDE_ERROR_CODES = { 400: 'invalid_request', 401: 'auth_error', 403: 'auth_error', 413: 'request_too_large', 429: 'rate_limited', 529: 'overloaded' };
+const CLAUDE_STREAM_ERROR_CODES = { overloaded_error: 'overloaded', rate_limit_error: 'rate_limited', api_error: 'api_error' };
 
-// ============================================================
-// GET /api/page-source
-// ============================================================
-async function handlePageSource(url, env, corsHeaders) {
-  const pagePath = url.searchParams.get('path') || '/';
-  const cleanPath = pagePath.replace(/^\//, '').replace(/\/$/, '');
-  const filePath = (!cleanPath || cleanPath === '/') ? 'dashboard/index.html' : `dashboard/${cleanPath}/index.html`;
-  const res = await fetch(`https://api.github.com/repos/${env.GITHUB_REPO_OWNER}/${env.GITHUB_REPO_NAME}/contents/${filePath}?ref=main`, {
-    headers: { 'Authorization': `Bearer ${env.GITHUB_TOKEN}`, 'User-Agent': 'sweeneychris-admin', 'Accept': 'application/vnd.github.v3+json' },
-  });
-  if (!res.ok) return json({ error: 'Page not found' }, 404, corsHeaders);
-  const data = await res.json();
-  return json({ html: decodeURIComponent(escape(atob(data.content))), path: pagePath, filePath, sha: data.sha }, 200, corsHeaders);
+async function claudeResponseError(res) {
+  let detail = '';
+  try { detail = (await res.json()).error?.message || ''; } catch {}
+  return chatError(CLAUDE_ERROR_CODES[res.status] || 'api_error', `Claude API error ${res.status}${detail ? `: ${detail}` : ''}`, RETRYABLE_CLAUDE_STATUSES.includes(res.status));
 }
 
-// ============================================================
-// Google OAuth endpoints
-// ============================================================
-async function handleGoogleAuth(request, url, env) {
-  const userKey = url.searchParams.get('user');
-  if (!userKey || !VALID_USERS.includes(userKey)) return new Response('Use ?user=chris or ?user=wife', { status: 400 });
-  const redirectUri = getGoogleRedirectUri(request);
-  const authUrl = new URL('https://accounts.google.com/o/oauth2/v2/auth');
-  authUrl.searchParams.set('client_id', env.GOOGLE_CLIENT_ID);
-  authUrl.searchParams.set('redirect_uri', redirectUri);
-  authUrl.searchParams.set('response_type', 'code');
-  authUrl.searchParams.set('scope', GOOGLE_SCOPES);
-  authUrl.searchParams.set('access_type', 'offline');
-  authUrl.searchParams.set('prompt', 'consent');
-  authUrl.searchParams.set('state', userKey);
-  return Response.redirect(authUrl.toString(), 302);
+function claudeRetryDelay(res, attempt) {
+  const retryAfter = parseFloat(res.headers.get('retry-after'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, 20000);
+  return 1000 * 2 ** attempt + Math.random() * 500;
 }
 
-async function handleGoogleCallback(request, url, env) {
-  const code = url.searchParams.get('code');
-  const userKey = url.searchParams.get('state') || 'unknown';
-  const error = url.searchParams.get('error');
-  if (error) return new Response(`<html><body><h2>Failed</h2><p>${error}</p><script>setTimeout(()=>window.close(),3000)</script></body></html>`, { headers: { 'Content-Type': 'text/html' } });
-
-  const tokenRes = await fetch('https://oauth2.googleapis.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      client_id: env.GOOGLE_CLIENT_ID, client_secret: env.GOOGLE_CLIENT_SECRET,
-      code, redirect_uri: getGoogleRedirectUri(request), grant_type: 'authorization_code',
-    }),
-  });
-  const tokens = await tokenRes.json();
-  if (tokens.error) return new Response(`<html><body><h2>Failed</h2><p>${tokens.error_description}</p></body></html>`, { headers: { 'Content-Type': 'text/html' } });
-
-  let googleEmail = '';
-  try {
-    const r = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', { headers: { 'Authorization': `Bearer ${tokens.access_token}` } });
-    googleEmail = (await r.json()).email || '';
-  } catch {}
-
-  await env.TOKENS.put(`google:${userKey}`, JSON.stringify({
-    refresh_token: tokens.refresh_token, access_token: tokens.access_token,
-    expires_at: Date.now() + (tokens.expires_in * 1000), email: googleEmail, connected_at: new Date().toISOString(),
-  }));
+// POSTs to the Messages API, retrying 429/529 with backoff. If the primary model stays
+// unavailable and CLAUDE_FALLBACK_MODEL is set, the request is repeated on that model.
+async function requestClaude(env, body, onStatus = () => {}) {
+  const primary = body.model || env.CLAUDE_MODEL || CHAT_MODEL;
+  const models = [primary];
+  if (env.CLAUDE_FALLBACK_MODEL && env.CLAUDE_FALLBACK_MODEL !== primary) models.push(env.CLAUDE_FALLBACK_MODEL);
 
-  const name = userKey.charAt(0).toUpperCase() + userKey.slice(1);
-  return new Response(`<html><body style="font-family:sans-serif;display:flex;align-items:center;justify-content:center;height:100vh;margin:0;background:#F5F0E8"><div style="text-align:center"><div style="font-size:3rem;margin-bottom:1rem">✓</div><h2>${name}'s Google connected!</h2><p style="color:#666">${googleEmail}</p></div><script>if(window.opener)window.opener.postMessage({type:'google-auth-complete',user:'${userKey}'},'*');setTimeout(()=>window.close(),2000)</script></body></html>`, { headers: { 'Content-Type': 'text/html' } });
+  let lastError;
+  for (const [i, model] of models.entries()) {
+    if (i > 0) onStatus(`Claude is still busy, switching to ${model}...`);
+    // Adaptive thinking isn't available on every model, so the fallback runs without it
+    const payload = JSON.stringify(i === 0 ? { ...body, model } : { ...body, model, thinking: undefined });
+    for (let attempt = 0; ; attempt++) {
+      const res = await fetch('https://api.anthropic.com/v1/messages', { method: 'POST', headers: anthropicHeaders(env), body: payload });
+      if (res.ok) return Object.assign(res, { model });
+      lastError = await claudeResponseError(res);
+      if (!lastError.retryable) throw lastError;
+      if (attempt >= MAX_CLAUDE_RETRIES) break;
+      const delay = claudeRetryDelay(res, attempt);
+      onStatus(`Claude is busy, retrying in ${Math.ceil(delay / 1000)}s...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  throw lastError;
 }
 
-async function handleConnections(env, corsHeaders) {
-  const connections = {};
-  for (const u of VALID_USERS) {
-    const s = await env.TOKENS.get(`google:${u}`, 'json');
-    connections[u] = s ? { connected: true, email: s.email || 'Unknown', connected_at: s.connected_at } : { connected: false };
+// One streamed Claude call. An overloaded or rate-limit error event mid-stream is retried like the
+// HTTP statuses are, as long as none of the reply's text has reached the client yet.
+async function streamClaudeTurn(env, request, sendEvent, status) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await streamClaudeAttempt(env, request, sendEvent, status);
+    } catch (err) {
+      if (!err.retryable || err.textSent || attempt >= MAX_CLAUDE_RETRIES) throw err;
+      const delay = 1000 * 2 ** attempt + Math.random() * 500;
+      sendEvent('status', { text: `Claude is busy, retrying in ${Math.ceil(delay / 1000)}s...` });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
   }
-  return json({ connections }, 200, corsHeaders);
 }
 
-async function handleDisconnect(url, env, corsHeaders) {
-  const userKey = url.searchParams.get('user');
-  if (!userKey || !VALID_USERS.includes(userKey)) return json({ error: 'Invalid user' }, 400, corsHeaders);
-  await env.TOKENS.delete(`google:${userKey}`);
-  return json({ success: true }, 200, corsHeaders);
-}
+// Text is forwarded to the client as it arrives; content blocks are rebuilt (thinking
+// signatures included) so they can be sent back alongside tool results.
+async function streamClaudeAttempt(env, { system, messages, maxTokens, model }, sendEvent, status) {
+  const claudeRes = await requestClaude(env, {
+    model,
+    max_tokens: maxTokens,
+    stream: true,
+    // A downgraded model may not support adaptive thinking
+    ...(model ? {} : { thinking: { type: 'adaptive' } }),
+    system,
+    tools: TOOLS,
+    messages,
+  }, text => sendEvent('status', { text }));
 
-// ============================================================
-// GET /api/calendar
-// ============================================================
-async function handleCalendar(url, env, corsHeaders) {
-  const max = url.searchParams.get('max') || '10';
-  const now = new Date().toISOString();
-  const future = new Date(Date.now() + 14 * 86400000).toISOString();
-  const allEvents = [];
+  const reader = claudeRes.body.getReader();
+  const decoder = new TextDecoder();
+  const blocks = [];
+  let text = '';
+  let stopReason = null;
+  let usage = {};
+  let servedModel = null;
+  let buffer = '';
 
-  for (const userKey of VALID_USERS) {
-    const token = await getGoogleAccessToken(userKey, env);
-    if (!token) continue;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      const data = line.slice(6);
+      if (data === '[DONE]') continue;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue; // Skip unparseable lines
+      }
+
+      if (event.type === 'message_start') {
+        servedModel = event.message?.model || null;
+        usage = { ...event.message?.usage };
+      } else if (event.type === 'content_block_start') {
+        const block = { ...event.content_block };
+        if (block.type === 'tool_use') block.partialJson = '';
+        blocks[event.index] = block;
+
+        // Thinking block started — show status
+        if (block.type === 'thinking' && !status.thinking) {
+          sendEvent('status', { text: 'Thinking...' });
+          status.thinking = true;
+        }
+        if (block.type === 'tool_use' && block.name === 'generate_page' && !status.page) {
+          sendEvent('status', { text: 'Building page...' });
+          status.page = true;
+        }
+        // Separate text from earlier agent steps
+        if (block.type === 'text' && status.text) {
+          text += '\n\n';
+          sendEvent('text', { text: '\n\n' });
+          status.text = false;
+        }
+      } else if (event.type === 'content_block_delta') {
+        const block = blocks[event.index];
+        if (!block) continue;
+        if (event.delta?.type === 'text_delta') {
+          // Stream message text to the client in real-time
+          block.text += event.delta.text;
+          text += event.delta.text;
+          status.text = true;
+          sendEvent('text', { text: event.delta.text });
+        } else if (event.delta?.type === 'input_json_delta') {
+          // Buffer tool input JSON (not streamed to client)
+          block.partialJson += event.delta.partial_json;
+        } else if (event.delta?.type === 'thinking_delta') {
+          // Kept for the follow-up request, never shown to the client
+          block.thinking += event.delta.thinking;
+        } else if (event.delta?.type === 'signature_delta') {
+          block.signature = (block.signature || '') + event.delta.signature;
+        }
+      } else if (event.type === 'content_block_stop') {
+        const block = blocks[event.index];
+        if (block?.type === 'tool_use') {
+          try { block.input = block.partialJson ? JSON.parse(block.partialJson) : {}; } catch { block.input = null; }
+          delete block.partialJson;
+        }
+      } else if (event.type === 'message_delta') {
+        stopReason = event.delta?.stop_reason || stopReason;
+        // Counts here are cumulative for the message
+        Object.assign(usage, event.usage || {});
+      } else if (event.type === 'error') {
+        const code = CLAUDE_STREAM_ERROR_CODES[event.error?.type] || 'api_error';
+        const err = chatError(code, `Claude API error: ${event.error?.message || event.error?.type}`, code !== 'api_error');
+        throw Object.assign(err, { textSent: !!text });
+      }
+    }
+  }
+
+  return { content: blocks.filter(Boolean), text, stopReason, usage, model: servedModel || claudeRes.model };
+}
+
+function anthropicHeaders(env) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': env.ANTHROPIC_API_KEY,
+    'anthropic-version': '2023-06-01',
+  };
+}
+
+function toolStatusText(call) {
+  switch (call.name) {
+    case 'edit_page': return 'Editing page...';
+    case 'read_page': return `Reading ${call.input?.path || 'page'}...`;
+    case 'list_pages': return 'Looking at the site map...';
+    case 'get_calendar': return 'Checking the calendar...';
+    case 'propose_calendar_event': return 'Drafting the calendar change...';
+    case 'get_recent_email': return 'Checking email...';
+    default: return 'Working...';
+  }
+}
+
+function toolResultBlock(call, content, isError = false) {
+  return {
+    type: 'tool_result', tool_use_id: call.id, content: typeof content === 'string' ? content : JSON.stringify(content),
+    ...(isError ? { is_error: true } : {}),
+  };
+}
+
+// Runs a server-side tool and wraps the outcome as a tool_result block
+async function runChatTool(call, env, member) {
+  const toolResult = (content, isError) => toolResultBlock(call, content, isError);
+  const input = call.input || {};
+
+  try {
+    switch (call.name) {
+      case 'read_page': {
+        const file = await fetchRepoFile(env, pageRepoPath(input.path));
+        return file ? toolResult(file.content) : toolResult(`No page exists at ${input.path}`, true);
+      }
+      case 'list_pages': {
+        const pages = (await listSiteFiles(env)).map(f => ({ path: '/' + f.replace(/^dashboard\/?/, '').replace(/\/?index\.html$/, ''), file: f }));
+        return toolResult(pages);
+      }
+      case 'get_calendar': {
+        const days = Math.min(Math.max(parseInt(input.days) || 14, 1), 60);
+        const { events, errors } = await loadCalendarEvents(env, { to: new Date(Date.now() + days * 86400000), max: 50 });
+        const timeZone = familyTimeZone(env);
+        const today = new Date().toLocaleDateString('en-US', { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        const members = (await loadMembers(env)).map(m => ({
+          id: m.id, name: m.name, accounts: (m.accounts || []).map(a => ({ email: a.email, can_write: canWriteCalendar(a) })),
+        }));
+        return toolResult({ today, timezone: timeZone, members, events, ...(errors.length ? { errors } : {}) });
+      }
+      case 'get_recent_email': {
+        const max = Math.min(Math.max(parseInt(input.max) || 10, 1), 25);
+        // A search looks through all mail rather than just the inbox
+        const { messages, errors } = await loadRecentEmail(env, [member], { max, q: input.query || '', labels: input.query ? [] : ['INBOX'] });
+        return toolResult({ messages, ...(errors.length ? { errors } : {}) });
+      }
+      default:
+        return toolResult(`Unknown tool ${call.name}`, true);
+    }
+  } catch (err) {
+    return toolResult(`Tool failed: ${err.message}`, true);
+  }
+}
+
+// Applies an edit_page call to the page's working copy (the source the client sent, else main).
+// Edits that match are kept even when others fail, so a retry only needs the failed ones.
+// A reply carries one page, so once `editingPath` is set, edits to any other page are refused.
+async function runEditPage(call, env, drafts, editingPath = null) {
+  const { path, edits } = call.input || {};
+  if (!path || !Array.isArray(edits)) return { toolResult: toolResultBlock(call, 'edit_page needs a path and an edits array', true) };
+
+  let filePath;
+  try {
+    filePath = pageRepoPath(path);
+    if (editingPath && pageRepoPath(editingPath) !== filePath) {
+      return { toolResult: toolResultBlock(call, `Only one page can be changed per request and ${editingPath} already has been; ask the user to request changes to ${path} separately`, true) };
+    }
+  } catch (err) {
+    return { toolResult: toolResultBlock(call, err.message, true) };
+  }
+  if (!drafts.has(filePath)) {
+    const file = await fetchRepoFile(env, filePath);
+    if (!file) return { toolResult: toolResultBlock(call, `No page exists at ${path}; use generate_page to create it`, true) };
+    drafts.set(filePath, file.content);
+  }
+
+  const { html, applied, failed } = applyPageEdits(drafts.get(filePath), edits);
+  drafts.set(filePath, html);
+  const page = { path, html };
+  if (!failed.length) return { page, edits: { applied, failed }, toolResult: toolResultBlock(call, `Applied ${applied} edit(s).`) };
+
+  const report = failed.map(f => `- edit ${f.index + 1}: ${f.reason}\n  search: ${JSON.stringify(f.search)}`).join('\n');
+  return {
+    page, edits: { applied, failed },
+    toolResult: toolResultBlock(call, `Applied ${applied} edit(s); ${failed.length} failed and were skipped:\n${report}\nRe-send only the failed edits, copying search text exactly from the page.`, true),
+  };
+}
+
+function applyPageEdits(html, edits) {
+  const failed = [];
+  let applied = 0;
+  edits.forEach((edit, index) => {
+    const { search, replace = '', replace_all: replaceAll = false } = edit || {};
+    const preview = typeof search === 'string' ? search.slice(0, 200) : search;
+    if (typeof search !== 'string' || !search) { failed.push({ index, search: preview, reason: 'search is empty' }); return; }
+    const matches = html.split(search).length - 1;
+    if (!matches) { failed.push({ index, search: preview, reason: 'search text not found' }); return; }
+    if (matches > 1 && !replaceAll) { failed.push({ index, search: preview, reason: `search text matches ${matches} places` }); return; }
+    html = replaceAll ? html.split(search).join(replace) : html.replace(search, () => replace);
+    applied++;
+  });
+  return { html, applied, failed };
+}
+
+// ============================================================
+// Chat sessions — stored per member in STORE as chat:<member>:<id>. Generated pages
+// live in their own keys (chat-page:<member>:<id>:<messageId>) so history stays small.
+// ============================================================
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function chatSessionKey(member, id) {
+  return `chat:${member}:${id}`;
+}
+
+function chatPageKey(member, id, messageId) {
+  return `chat-page:${member}:${id}:${messageId}`;
+}
+
+function newChatSession(member, firstMessage, history = []) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(), owner: member, title: chatTitle(firstMessage), created_at: now, updated_at: now,
+    summary: '', summarized_through: 0,
+    messages: history.map(h => ({ id: crypto.randomUUID(), role: h.role, content: String(h.content), at: now })),
+  };
+}
+
+function chatTitle(text) {
+  const line = String(text || 'New chat').trim().split('\n')[0];
+  return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+}
+
+async function loadChatSession(env, member, id) {
+  if (!SESSION_ID_PATTERN.test(id || '')) return null;
+  return await env.STORE.get(chatSessionKey(member, id), 'json');
+}
+
+async function saveChatSession(env, session) {
+  session.updated_at = new Date().toISOString();
+  await env.STORE.put(chatSessionKey(session.owner, session.id), JSON.stringify(session), {
+    metadata: { title: session.title, updated_at: session.updated_at, message_count: session.messages.length },
+  });
+}
+
+function chatSystemPrompt(session, collections, apiOrigin) {
+  const prompt = `${SYSTEM_PROMPT}\n\n${familyDataPrompt(collections, apiOrigin)}`;
+  if (!session.summary) return prompt;
+  return `${prompt}\n\n## EARLIER IN THIS CONVERSATION\n${session.summary}`;
+}
+
+// Messages the model sees: everything after the summarized prefix, as plain text
+// The API rejects empty content, which a turn that ended in tool calls or failed leaves behind
+function chatHistoryForModel(session) {
+  return session.messages.slice(session.summarized_through).map(m => ({
+    role: m.role,
+    content: m.context?.mode === 'edit' ? `[EDITING PAGE: ${m.context.path}] ${m.content}` : (m.content || (m.error ? '(failed to reply)' : '(no reply)')),
+  }));
+}
+
+function estimateTokens(messages) {
+  return Math.ceil(messages.reduce((n, m) => n + String(m.content).length, 0) / 4);
+}
+
+// Folds older messages into session.summary once the unsummarized history outgrows the budget.
+// If summarizing fails the old messages are simply dropped from the model's view.
+async function compactChatSession(env, session, sendEvent, meter, model) {
+  const pending = session.messages.slice(session.summarized_through);
+  if (estimateTokens(pending) <= HISTORY_TOKEN_BUDGET || pending.length <= KEEP_RECENT_MESSAGES) return;
+
+  const cutoff = session.messages.length - KEEP_RECENT_MESSAGES;
+  const older = session.messages.slice(session.summarized_through, cutoff);
+  sendEvent('status', { text: 'Summarizing earlier messages...' });
+  try {
+    session.summary = await summarizeChat(env, session.summary, older, meter, model);
+  } catch {}
+  session.summarized_through = cutoff;
+}
+
+async function summarizeChat(env, previousSummary, messages, meter, model) {
+  const transcript = messages.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n\n');
+  const res = await requestClaude(env, {
+    model,
+    max_tokens: 1024,
+    system: 'You condense admin-assistant chat history for the Sweeney family website. Keep decisions, preferences, page paths and anything still unfinished. Reply with the summary only.',
+    messages: [{
+      role: 'user',
+      content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}Newer messages:\n${transcript}\n\nWrite an updated summary in under 300 words.`,
+    }],
+  });
+  const data = await res.json();
+  meterAdd(meter, data.model || res.model, data.usage);
+  return (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('').trim();
+}
+
+// Appends the finished exchange to the session; the page, if any, goes to its own key
+async function recordChatTurn(env, session, userMessage, result) {
+  const assistantMessage = { id: crypto.randomUUID(), role: 'assistant', content: result.message, at: new Date().toISOString() };
+  if (result.page) {
+    assistantMessage.page = { path: result.page.path };
+    await env.STORE.put(chatPageKey(session.owner, session.id, assistantMessage.id), JSON.stringify(result.page));
+  }
+  if (result.calendarProposals) assistantMessage.calendarProposals = result.calendarProposals;
+  if (result.error) assistantMessage.error = result.error;
+  session.messages.push(userMessage, assistantMessage);
+
+  const overflow = session.messages.length - MAX_STORED_MESSAGES;
+  if (overflow > 0) {
+    await Promise.all(session.messages.slice(0, overflow).filter(m => m.page).map(m => env.STORE.delete(chatPageKey(session.owner, session.id, m.id))));
+    session.messages = session.messages.slice(overflow);
+    session.summarized_through = Math.max(0, session.summarized_through - overflow);
+  }
+  await saveChatSession(env, session);
+  return assistantMessage;
+}
+
+// Records a deploy against the chat message whose page was deployed
+async function markChatPageDeployed(env, member, sessionId, messageId, deployment) {
+  const session = await loadChatSession(env, member, sessionId);
+  const message = session?.messages.find(m => m.id === messageId && m.page);
+  if (!message) return;
+  message.page.deployments = [...(message.page.deployments || []), deployment];
+  await saveChatSession(env, session);
+}
+
+// ============================================================
+// /api/sessions — list, resume, rename and delete chat sessions
+// ============================================================
+async function handleListSessions(url, env, corsHeaders, member) {
+  const id = url.searchParams.get('id');
+  if (id) {
+    const session = await loadChatSession(env, member, id);
+    if (!session) return json({ error: 'Session not found' }, 404, corsHeaders);
+    return json({ session }, 200, corsHeaders);
+  }
+
+  const sessions = [];
+  let cursor;
+  do {
+    const page = await env.STORE.list({ prefix: `chat:${member}:`, cursor });
+    page.keys.forEach(k => sessions.push({ id: k.name.split(':')[2], ...(k.metadata || {}) }));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  sessions.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+  return json({ sessions }, 200, corsHeaders);
+}
+
+async function handleSessionPage(url, env, corsHeaders, member) {
+  const id = url.searchParams.get('id');
+  const messageId = url.searchParams.get('message');
+  if (!SESSION_ID_PATTERN.test(id || '') || !SESSION_ID_PATTERN.test(messageId || '')) return json({ error: 'Invalid id' }, 400, corsHeaders);
+  const page = await env.STORE.get(chatPageKey(member, id, messageId), 'json');
+  if (!page) return json({ error: 'Page not found' }, 404, corsHeaders);
+  return json({ ...page, validation: validatePage(page.html, pageRepoPath(page.path)) }, 200, corsHeaders);
+}
+
+async function handleRenameSession(request, url, env, corsHeaders, member) {
+  const session = await loadChatSession(env, member, url.searchParams.get('id'));
+  if (!session) return json({ error: 'Session not found' }, 404, corsHeaders);
+  const { title } = await request.json();
+  if (!title || !String(title).trim()) return json({ error: 'Missing title' }, 400, corsHeaders);
+  session.title = String(title).trim().slice(0, 100);
+  await saveChatSession(env, session);
+  return json({ success: true, id: session.id, title: session.title }, 200, corsHeaders);
+}
+
+async function handleDeleteSession(url, env, corsHeaders, member) {
+  const session = await loadChatSession(env, member, url.searchParams.get('id'));
+  if (!session) return json({ error: 'Session not found' }, 404, corsHeaders);
+  await Promise.all(session.messages.filter(m => m.page).map(m => env.STORE.delete(chatPageKey(member, session.id, m.id))));
+  await env.STORE.delete(chatSessionKey(member, session.id));
+  return json({ success: true }, 200, corsHeaders);
+}
+
+// ============================================================
+// Usage & cost tracking — STORE keeps usage:day:<date> and usage:month:<month> totals,
+// one usage:req:<date>:<id> record per request (kept 90 days) and the usage:budget setting.
+// KV has no transactions, so totals can drift slightly if two requests land at once.
+// ============================================================
+// USD per million tokens; models are matched by prefix so dated ids resolve too
+const MODEL_PRICING = {
+  // Opus 4 (claude-opus-4-0, claude-opus-4-20250514) and 4.1 cost three times what 4.5 and later do
+  'claude-opus-4-0': { input: 15, output: 75, cache_write: 18.75, cache_read: 1.5 },
+  'claude-opus-4-2025': { input: 15, output: 75, cache_write: 18.75, cache_read: 1.5 },
+  'claude-opus-4-1': { input: 15, output: 75, cache_write: 18.75, cache_read: 1.5 },
+  'claude-opus-4': { input: 5, output: 25, cache_write: 6.25, cache_read: 0.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+  'claude-haiku-4': { input: 1, output: 5, cache_write: 1.25, cache_read: 0.1 },
+};
+const USAGE_TOKEN_FIELDS = ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens'];
+const USAGE_REQUEST_TTL_SECONDS = 90 * 86400;
+
+// The longest matching prefix wins, so claude-opus-4-1 isn't priced as claude-opus-4
+function modelPricing(model) {
+  const key = Object.keys(MODEL_PRICING)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  // Unknown models are priced like Sonnet rather than silently counted as free
+  return MODEL_PRICING[key] || MODEL_PRICING['claude-sonnet-4'];
+}
+
+function usageCost(model, usage) {
+  const price = modelPricing(model);
+  return ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output +
+    (usage.cache_creation_input_tokens || 0) * price.cache_write + (usage.cache_read_input_tokens || 0) * price.cache_read) / 1e6;
+}
+
+function emptyUsage() {
+  return { requests: 0, input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0 };
+}
+
+// Accumulates the Claude calls made while serving one request
+function newUsageMeter() {
+  return { calls: 0, by_model: {} };
+}
+
+function meterAdd(meter, model, usage) {
+  if (!meter || !usage) return;
+  const name = model || CHAT_MODEL;
+  const totals = meter.by_model[name] || (meter.by_model[name] = emptyUsage());
+  for (const field of USAGE_TOKEN_FIELDS) totals[field] += usage[field] || 0;
+  totals.cost_usd += usageCost(name, usage);
+  meter.calls++;
+}
+
+// Adds one request's worth of usage (a meter) to running totals
+function addUsageTotals(totals, meter) {
+  totals.requests++;
+  for (const usage of Object.values(meter.by_model)) {
+    for (const field of USAGE_TOKEN_FIELDS) totals[field] += usage[field];
+    totals.cost_usd += usage.cost_usd;
+  }
+  totals.cost_usd = Math.round(totals.cost_usd * 1e6) / 1e6;
+  return totals;
+}
+
+function usageSummary(meter) {
+  const { requests, ...totals } = addUsageTotals(emptyUsage(), meter);
+  return { ...totals, models: Object.keys(meter.by_model) };
+}
+
+async function recordUsage(env, meter, { kind, member = null, sessionId = null, path = null }) {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+
+  const record = { at: now.toISOString(), kind, member, session_id: sessionId, path, ...usageSummary(meter) };
+  await env.STORE.put(`usage:req:${day}:${now.getTime()}-${crypto.randomUUID().slice(0, 8)}`, JSON.stringify(record), {
+    expirationTtl: USAGE_REQUEST_TTL_SECONDS,
+    metadata: record,
+  });
+
+  for (const [key, label] of [[`usage:day:${day}`, { date: day }], [`usage:month:${month}`, { month }]]) {
+    const totals = await env.STORE.get(key, 'json') || { ...label, ...emptyUsage(), by_model: {} };
+    addUsageTotals(totals, meter);
+    for (const [model, usage] of Object.entries(meter.by_model)) {
+      totals.by_model[model] = addUsageTotals(totals.by_model[model] || emptyUsage(), { by_model: { [model]: usage } });
+    }
+    await env.STORE.put(key, JSON.stringify(totals));
+  }
+}
+
+async function getBudgetStatus(env, month = new Date().toISOString().slice(0, 7)) {
+  const [settings, totals] = await Promise.all([env.STORE.get('usage:budget', 'json'), env.STORE.get(`usage:month:${month}`, 'json')]);
+  const limit = settings?.monthly_usd ?? null;
+  const spent = totals?.cost_usd || 0;
+  return {
+    monthly_usd: limit,
+    over_budget: settings?.over_budget || 'refuse',
+    spent,
+    remaining: limit === null ? null : Math.max(0, Math.round((limit - spent) * 100) / 100),
+    exceeded: limit !== null && spent >= limit,
+  };
+}
+
+// ============================================================
+// GET /api/usage — daily and monthly totals, plus per-request detail for ?day=
+// ============================================================
+async function handleUsage(url, env, corsHeaders) {
+  const month = url.searchParams.get('month') || new Date().toISOString().slice(0, 7);
+  const day = url.searchParams.get('day');
+  if (!/^\d{4}-\d{2}$/.test(month) || (day && !/^\d{4}-\d{2}-\d{2}$/.test(day))) return json({ error: 'Use month=YYYY-MM and day=YYYY-MM-DD' }, 400, corsHeaders);
+
+  const dayKeys = await env.STORE.list({ prefix: `usage:day:${month}` });
+  const days = await Promise.all(dayKeys.keys.map(k => env.STORE.get(k.name, 'json')));
+  const response = {
+    month,
+    total: await env.STORE.get(`usage:month:${month}`, 'json') || { month, ...emptyUsage(), by_model: {} },
+    days: days.filter(Boolean).sort((a, b) => a.date.localeCompare(b.date)),
+    budget: await getBudgetStatus(env, month),
+  };
+
+  if (day) {
+    const requests = [];
+    let cursor;
+    do {
+      const page = await env.STORE.list({ prefix: `usage:req:${day}:`, cursor });
+      page.keys.forEach(k => k.metadata && requests.push(k.metadata));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    response.requests = requests;
+  }
+  return json(response, 200, corsHeaders);
+}
+
+// ============================================================
+// POST /api/usage/budget — { monthly_usd: number|null, over_budget: "refuse"|"downgrade" }
+// ============================================================
+async function handleSetBudget(request, env, corsHeaders) {
+  const { monthly_usd: limit = null, over_budget: overBudget = 'refuse' } = await request.json();
+  if (limit !== null && !(typeof limit === 'number' && limit >= 0)) return json({ error: 'monthly_usd must be a positive number or null' }, 400, corsHeaders);
+  if (!['refuse', 'downgrade'].includes(overBudget)) return json({ error: 'over_budget must be "refuse" or "downgrade"' }, 400, corsHeaders);
+  await env.STORE.put('usage:budget', JSON.stringify({ monthly_usd: limit, over_budget: overBudget }));
+  return json({ budget: await getBudgetStatus(env) }, 200, corsHeaders);
+}
+
+// ============================================================
+// GitHub helpers — the family site lives under dashboard/ on main
+// ============================================================
+function githubUrl(env, suffix) {
+  return `https://api.github.com/repos/${env.GITHUB_REPO_OWNER}/${env.GITHUB_REPO_NAME}/${suffix}`;
+}
+
+function githubHeaders(env) {
+  return {
+    'Authorization': `Bearer ${env.GITHUB_TOKEN}`,
+    'User-Agent': 'sweeneychris-admin',
+    'Accept': 'application/vnd.github.v3+json',
+  };
+}
+
+function cleanPagePath(pagePath) {
+  return (pagePath || '').replace(/^\//, '').replace(/\/$/, '');
+}
+
+// Throws an invalid_path error (a 400 from the router) for a missing path or anything that would land
+// outside dashboard/. The home page is "/", never a missing path.
+function pageRepoPath(pagePath, filename = 'index.html') {
+  if (typeof pagePath !== 'string') throw Object.assign(new Error('Missing page path (use "/" for the home page)'), { status: 400, code: 'invalid_path' });
+  const cleanPath = cleanPagePath(pagePath);
+  if ((cleanPath && !isSafePathSegments(cleanPath.split('/'))) || !isSafePathSegments([filename])) {
+    throw Object.assign(new Error(`Invalid page path: ${pagePath}${filename === 'index.html' ? '' : ` (${filename})`}`), { status: 400, code: 'invalid_path' });
+  }
+  return (!cleanPath || cleanPath === 'dashboard') ? 'dashboard/index.html' : `dashboard/${cleanPath}/${filename}`;
+}
+
+// No empty, "." or ".." segments, backslashes or control characters
+function isSafePathSegments(segments) {
+  return segments.length > 0 && segments.every(seg => typeof seg === 'string' && seg && seg !== '.' && seg !== '..' && !/[\\/\u0000-\u001f]/.test(seg));
+}
+
+function encodeBase64Utf8(text) {
+  return btoa(unescape(encodeURIComponent(text)));
+}
+
+function decodeBase64Utf8(b64) {
+  return decodeURIComponent(escape(atob(b64)));
+}
+
+// Returns { content, sha } for a repo file at a branch or commit, or null if it doesn't exist there
+async function fetchRepoFile(env, filePath, ref = 'main') {
+  const res = await fetch(githubUrl(env, `contents/${filePath}?ref=${encodeURIComponent(ref)}`), { headers: githubHeaders(env) });
+  if (res.status === 404) return null;
+  if (!res.ok) { const err = await res.json(); throw new Error(`GitHub: ${err.message}`); }
+  const data = await res.json();
+  return { content: decodeBase64Utf8(data.content), sha: data.sha };
+}
+
+async function getBranchSha(env, branch) {
+  const res = await fetch(githubUrl(env, `git/ref/heads/${branch}`), { headers: githubHeaders(env) });
+  if (res.status === 404) return null;
+  if (!res.ok) { const err = await res.json(); throw new Error(`GitHub: ${err.message}`); }
+  return (await res.json()).object.sha;
+}
+
+async function githubJson(env, method, suffix, body) {
+  const res = await fetch(githubUrl(env, suffix), {
+    method,
+    headers: { ...githubHeaders(env), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  const data = await res.json();
+  if (!res.ok) throw Object.assign(new Error(`GitHub: ${data.message}`), { status: res.status });
+  return data;
+}
+
+// Commits every file in one go through the Git data API, so readers never see a half-applied deploy.
+// Each file is { path, base64 } for new content, or { path, sha } to reuse an existing blob (sha null deletes).
+async function commitFiles(env, branch, files, message) {
+  const blobs = await Promise.all(files.map(async f => {
+    if (f.base64 === undefined) return { path: f.path, mode: '100644', type: 'blob', sha: f.sha };
+    const blob = await githubJson(env, 'POST', 'git/blobs', { content: f.base64, encoding: 'base64' });
+    return { path: f.path, mode: '100644', type: 'blob', sha: blob.sha };
+  }));
+
+  for (let attempt = 0; ; attempt++) {
+    const headSha = await getBranchSha(env, branch);
+    if (!headSha) throw new Error(`GitHub: branch ${branch} not found`);
+    const head = await githubJson(env, 'GET', `git/commits/${headSha}`);
+    const tree = await githubJson(env, 'POST', 'git/trees', { base_tree: head.tree.sha, tree: blobs });
+    const commit = await githubJson(env, 'POST', 'git/commits', { message, tree: tree.sha, parents: [headSha] });
     try {
-      const r = await fetch(`https://www.googleapis.com/calendar/v3/calendars/primary/events?timeMin=${encodeURIComponent(now)}&timeMax=${encodeURIComponent(future)}&maxResults=${max}&singleEvents=true&orderBy=startTime`, { headers: { 'Authorization': `Bearer ${token}` } });
-      if (!r.ok) continue;
-      const d = await r.json();
-      const stored = await env.TOKENS.get(`google:${userKey}`, 'json');
-      (d.items || []).forEach(e => allEvents.push({
-        id: e.id, title: e.summary || '(No title)', start: e.start?.dateTime || e.start?.date,
+      await githubJson(env, 'PATCH', `git/refs/heads/${branch}`, { sha: commit.sha, force: false });
+      return commit;
+    } catch (err) {
+      // 422 means the branch moved while we were building the commit; rebuild on the new head
+      if (err.status !== 422 || attempt >= 2) throw err;
+    }
+  }
+}
+
+// ============================================================
+// POST /api/deploy — a page plus any images, shared assets or data files, in a single commit.
+// Accepts JSON ({ path, html, files: [{ path, content, encoding }] }) or multipart/form-data
+// where each uploaded file's field name is its site path, e.g. "/recipes/img/pie.jpg".
+// ============================================================
+const MAX_DEPLOY_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_DEPLOY_TOTAL_BYTES = 25 * 1024 * 1024;
+
+// Maps a site path ("/recipes/img/pie.jpg") or repo path ("dashboard/recipes/img/pie.jpg") to a repo
+// path, or null for anything that would land outside dashboard/
+function assetRepoPath(filePath) {
+  const segments = String(filePath || '').split('/').filter(Boolean);
+  if (segments[0] === 'dashboard') segments.shift();
+  if (!isSafePathSegments(segments)) return null;
+  return `dashboard/${segments.join('/')}`;
+}
+
+async function readDeployRequest(request) {
+  if ((request.headers.get('Content-Type') || '').startsWith('multipart/form-data')) {
+    const form = await request.formData();
+    const fields = {};
+    const uploads = [];
+    for (const [name, value] of form.entries()) {
+      if (typeof value === 'string') fields[name] = value;
+      else uploads.push({ path: name, base64: bytesToBase64(new Uint8Array(await value.arrayBuffer())) });
+    }
+    return { ...fields, preview: fields.preview === 'true', uploads };
+  }
+  const body = await request.json();
+  const uploads = (body.files || []).map(f => ({
+    path: f.path,
+    base64: f.encoding === 'base64' ? String(f.content || '').replace(/\s/g, '') : encodeBase64Utf8(f.content ?? ''),
+  }));
+  return { ...body, uploads };
+}
+
+// Resolves the request into repo files, or returns { error } describing the first bad one
+function collectDeployFiles({ html, path, filename = 'index.html', uploads }) {
+  const files = [];
+  if (typeof html === 'string') files.push({ path: pageRepoPath(path, filename), base64: encodeBase64Utf8(html) });
+  for (const upload of uploads) {
+    const repoPath = assetRepoPath(upload.path);
+    if (!repoPath) return { error: `Refusing to deploy outside dashboard/: ${upload.path}` };
+    try { atob(upload.base64); } catch { return { error: `${upload.path} is not valid base64` }; }
+    files.push({ path: repoPath, base64: upload.base64 });
+  }
+  if (!files.length) return { error: 'Nothing to deploy' };
+
+  const seen = new Set();
+  let total = 0;
+  for (const f of files) {
+    if (seen.has(f.path)) return { error: `${f.path} appears more than once` };
+    seen.add(f.path);
+    const bytes = Math.floor(f.base64.length * 3 / 4);
+    if (bytes > MAX_DEPLOY_FILE_BYTES) return { error: `${f.path} is larger than ${MAX_DEPLOY_FILE_BYTES / 1048576} MB` };
+    total += bytes;
+  }
+  if (total > MAX_DEPLOY_TOTAL_BYTES) return { error: `Deploy is larger than ${MAX_DEPLOY_TOTAL_BYTES / 1048576} MB` };
+  return { files };
+}
+
+async function handleDeploy(request, env, corsHeaders, member) {
+  const deploy = await readDeployRequest(request);
+  const { files, error } = collectDeployFiles(deploy);
+  if (error) return json({ error }, 400, corsHeaders);
+  const validation = validateDeployFiles(files);
+  if (Object.values(validation).some(v => !v.ok)) return json({ error: 'Validation failed', validation }, 422, corsHeaders);
+  const repoFilePath = files[0].path;
+  const fileList = files.map(f => f.path);
+  const summary = files.length > 1 ? `${repoFilePath} and ${files.length - 1} more file(s)` : repoFilePath;
+
+  if (deploy.preview) {
+    const branch = previewBranchName(deploy.session || crypto.randomUUID().slice(0, 8));
+    if (!branch) return json({ error: 'Invalid preview session' }, 400, corsHeaders);
+    await ensureBranch(env, branch);
+    const commit = await commitFiles(env, branch, files, `Preview ${summary} via admin panel (${member})`);
+    return json({
+      success: true, preview: true, branch, path: repoFilePath, files: fileList, commitUrl: commit.html_url, validation,
+      previewUrl: await previewUrl(request, env, branch, deploy.path),
+      message: `Preview ready on ${branch}`,
+    }, 200, corsHeaders);
+  }
+
+  const commit = await commitFiles(env, 'main', files, `Deploy ${summary} via admin panel (${member})`);
+  if (deploy.sessionId && deploy.messageId) {
+    await markChatPageDeployed(env, member, deploy.sessionId, deploy.messageId, { commitUrl: commit.html_url, at: new Date().toISOString() });
+  }
+  return json({ success: true, path: repoFilePath, files: fileList, commitUrl: commit.html_url, validation, message: `Deployed to family.sweeneychris.com/${cleanPagePath(deploy.path)}` }, 200, corsHeaders);
+}
+
+// ============================================================
+// Page validation — shared by chat results, /api/validate and /api/deploy.
+// Errors block a deploy; warnings are shown in the admin panel but don't.
+// ============================================================
+const PROTECTED_REPO_PATHS = ['dashboard/admin/'];
+const MAX_PAGE_BYTES = 512 * 1024;
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+// Elements whose end tag HTML lets authors leave out
+const OPTIONAL_END_ELEMENTS = new Set(['p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'option', 'optgroup', 'colgroup', 'caption', 'rb', 'rt', 'rp', 'html', 'head', 'body']);
+const CREDENTIAL_PATTERNS = [
+  { name: 'Anthropic API key', pattern: /sk-ant-[A-Za-z0-9_-]{20,}/ },
+  { name: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{30,})/ },
+  { name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { name: 'Google OAuth secret', pattern: /\bGOCSPX-[A-Za-z0-9_-]{20,}/ },
+  { name: 'AWS access key', pattern: /\bAKIA[0-9A-Z]{16}\b/ },
+  { name: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+  { name: 'private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+];
+const GENERIC_SECRET_PATTERN = /\b(?:api[_-]?key|secret|password|passwd|access[_-]?token|auth[_-]?token)\b["']?\s*[:=]\s*["'][^"'\s]{8,}["']/i;
+
+// Compares whole segments after collapsing repeated slashes; a path with dot segments counts as protected
+function isProtectedRepoPath(filePath) {
+  const segments = String(filePath || '').split('/').filter(Boolean);
+  if (!isSafePathSegments(segments)) return true;
+  return PROTECTED_REPO_PATHS.some(prefix => prefix.split('/').filter(Boolean).every((seg, i) => segments[i] === seg));
+}
+
+// Whether a src attribute, as the browser reads it, points anywhere but the family site
+function isExternalUrl(src) {
+  const decoded = src
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&(sol|colon|period|bsol|Tab|NewLine|amp);/g, (_, name) => ({ sol: '/', colon: ':', period: '.', bsol: '\\', Tab: '\t', NewLine: '\n', amp: '&' })[name]);
+  try { return new URL(decoded.trim(), SITE_ORIGIN).origin !== SITE_ORIGIN; } catch { return true; }
+}
+
+// Returns { ok, errors, warnings }, each problem being { code, message }
+function validatePage(html, filePath) {
+  const errors = [];
+  const warnings = [];
+  const problem = (list, code, message) => list.push({ code, message });
+
+  if (isProtectedRepoPath(filePath)) problem(errors, 'protected_path', `${filePath} is protected and can't be changed from the assistant`);
+  const bytes = textEncoder.encode(html).length;
+  if (bytes > MAX_PAGE_BYTES) problem(errors, 'too_large', `Page is ${Math.round(bytes / 1024)} KB; the limit is ${MAX_PAGE_BYTES / 1024} KB`);
+
+  for (const issue of checkHtmlStructure(html)) problem(issue.fatal ? errors : warnings, issue.code, issue.message);
+
+  if (!/<script\b[^>]*\bsrc\s*=\s*["']\/shared\/edit-widget\.js["']/i.test(html)) {
+    problem(errors, 'missing_edit_widget', 'Missing <script src="/shared/edit-widget.js"></script>');
+  }
+  // The dashboard itself doesn't link back to itself
+  if (filePath !== 'dashboard/index.html' && !/<a\b[^>]*\bhref\s*=\s*["'](?:\/|https:\/\/family\.sweeneychris\.com\/?)["'][^>]*>[\s\S]*?Dashboard/i.test(html)) {
+    problem(errors, 'missing_dashboard_link', 'Missing the "← Dashboard" link back to /');
+  }
+
+  // Site pages get credentialed access to the API, so a third-party script could act as any admin who
+  // visits. One is only allowed pinned to its content with a Subresource Integrity hash.
+  for (const [tag, ...values] of html.matchAll(/<script\b[^>]*\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>/gi)) {
+    const src = values.find(v => v !== undefined);
+    if (!isExternalUrl(src)) continue;
+    if (!/\bintegrity\s*=\s*["']\s*sha(?:256|384|512)-[A-Za-z0-9+/=]+/i.test(tag)) {
+      problem(errors, 'external_script', `Loads an external script without an integrity hash: ${src}`);
+    }
+  }
+
+  for (const { name, pattern } of CREDENTIAL_PATTERNS) {
+    if (pattern.test(html)) problem(errors, 'inline_credentials', `Contains an inline ${name}`);
+  }
+  const generic = html.match(GENERIC_SECRET_PATTERN);
+  if (generic) problem(warnings, 'possible_credentials', `Possible hard-coded credential: ${generic[0].slice(0, 40)}…`);
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+// A lightweight well-formedness check: required document tags, terminated <script>/<style>
+// and comments (a sign of truncated output), then a nesting check over the remaining tags.
+function checkHtmlStructure(html) {
+  const issues = [];
+  if (!/^\s*<!doctype html/i.test(html)) issues.push({ code: 'missing_doctype', message: 'Missing <!DOCTYPE html>' });
+  for (const tag of ['html', 'head', 'body']) {
+    if (!new RegExp(`<${tag}\\b`, 'i').test(html) || !new RegExp(`</${tag}\\s*>`, 'i').test(html)) {
+      issues.push({ code: 'malformed_html', message: `Missing <${tag}> or </${tag}> — the page may be cut off`, fatal: true });
+    }
+  }
+
+  let rest = html.replace(/<!--[\s\S]*?-->/g, '');
+  if (rest.includes('<!--')) issues.push({ code: 'malformed_html', message: 'Unterminated <!-- comment', fatal: true });
+  for (const tag of ['script', 'style']) {
+    const opens = (rest.match(new RegExp(`<${tag}\\b`, 'gi')) || []).length;
+    const closes = (rest.match(new RegExp(`</${tag}\\s*>`, 'gi')) || []).length;
+    if (opens !== closes) issues.push({ code: 'malformed_html', message: `${opens} <${tag}> tag(s) but ${closes} </${tag}>`, fatal: true });
+    rest = rest.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}\\s*>`, 'gi'), '');
+  }
+
+  const stack = [];
+  for (const [, closing, rawName, selfClosing] of rest.matchAll(/<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>/g)) {
+    const name = rawName.toLowerCase();
+    if (VOID_ELEMENTS.has(name) || OPTIONAL_END_ELEMENTS.has(name) || selfClosing) continue;
+    if (!closing) { stack.push(name); continue; }
+    const open = stack.lastIndexOf(name);
+    if (open === -1) {
+      issues.push({ code: 'unbalanced_tags', message: `</${name}> has no matching <${name}>` });
+      break;
+    }
+    if (open !== stack.length - 1) {
+      issues.push({ code: 'unbalanced_tags', message: `<${stack[stack.length - 1]}> is closed by </${name}>` });
+      break;
+    }
+    stack.pop();
+  }
+  if (stack.length && !issues.some(i => i.code === 'unbalanced_tags')) {
+    issues.push({ code: 'unbalanced_tags', message: `<${stack[stack.length - 1]}> is never closed` });
+  }
+  return issues;
+}
+
+// Validation keyed by repo path: HTML pages get the full check, every file the protected-path check
+function validateDeployFiles(files) {
+  const validation = {};
+  for (const f of files) {
+    if (f.path.endsWith('.html') && f.base64 !== undefined) {
+      validation[f.path] = validatePage(decodeBase64Utf8(f.base64), f.path);
+    } else if (isProtectedRepoPath(f.path)) {
+      validation[f.path] = { ok: false, errors: [{ code: 'protected_path', message: `${f.path} is protected` }], warnings: [] };
+    }
+  }
+  return validation;
+}
+
+// ============================================================
+// POST /api/validate — check a page before deploying it
+// ============================================================
+async function handleValidate(request, corsHeaders) {
+  const { html, path } = await request.json();
+  if (typeof html !== 'string') return json({ error: 'Missing html' }, 400, corsHeaders);
+  return json({ path, validation: validatePage(html, pageRepoPath(path)) }, 200, corsHeaders);
+}
+
+// ============================================================
+// Preview branches — POST /api/deploy with preview:true commits to preview/<session>
+// ============================================================
+const PREVIEW_BRANCH_PREFIX = 'preview/';
+const PREVIEW_LINK_TTL_SECONDS = 7 * 86400;
+
+function previewBranchName(session) {
+  const id = String(session).toLowerCase().replace(/^preview\//, '');
+  return /^[a-z0-9][a-z0-9-]{0,39}$/.test(id) ? `${PREVIEW_BRANCH_PREFIX}${id}` : null;
+}
+
+async function ensureBranch(env, branch) {
+  if (await getBranchSha(env, branch)) return;
+  await githubJson(env, 'POST', 'git/refs', { ref: `refs/heads/${branch}`, sha: await getBranchSha(env, 'main') });
+}
+
+async function deleteBranch(env, branch) {
+  await fetch(githubUrl(env, `git/refs/heads/${branch}`), { method: 'DELETE', headers: githubHeaders(env) });
+}
+
+async function compareRefs(env, base, head) {
+  return await githubJson(env, 'GET', `compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`);
+}
+
+// Preview links are signed so they can be opened on a phone without the admin session
+async function previewUrl(request, env, branch, pagePath) {
+  const token = await signToken('preview', { branch }, PREVIEW_LINK_TTL_SECONDS, env);
+  const url = new URL('/api/preview', request.url);
+  url.searchParams.set('branch', branch);
+  url.searchParams.set('path', pagePath || '/');
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+// ============================================================
+// GET /api/preview — serve a page from its preview branch
+// ============================================================
+async function handlePreview(url, env) {
+  const branch = url.searchParams.get('branch');
+  const pagePath = url.searchParams.get('path') || '/';
+  const grant = await verifyToken('preview', url.searchParams.get('token'), env);
+  if (!grant || grant.branch !== branch) return new Response('Preview link is invalid or expired', { status: 403 });
+
+  const file = await fetchRepoFile(env, pageRepoPath(pagePath), branch);
+  if (!file) return new Response('Page not found on this preview', { status: 404 });
+
+  // Resolve the page's relative and root-relative assets against the live site
+  const cleanPath = cleanPagePath(pagePath);
+  const base = `<base href="${SITE_ORIGIN}/${cleanPath ? `${cleanPath}/` : ''}">`;
+  const html = /<head[^>]*>/i.test(file.content) ? file.content.replace(/<head[^>]*>/i, m => `${m}${base}`) : base + file.content;
+  // Generated pages run in an opaque origin: scripts work, but they can't read this worker's responses or ride
+  // the session cookie into /api/gmail and friends. Data-backed pages only show live data once promoted.
+  return new Response(html, {
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Content-Security-Policy': 'sandbox allow-scripts allow-popups allow-forms',
+    },
+  });
+}
+
+// ============================================================
+// GET /api/previews — open preview branches
+// ============================================================
+async function handleListPreviews(env, corsHeaders) {
+  const refs = await githubJson(env, 'GET', `git/matching-refs/heads/${PREVIEW_BRANCH_PREFIX}`);
+  const branches = refs.map(r => ({ branch: r.ref.replace('refs/heads/', ''), sha: r.object.sha }));
+  return json({ previews: branches }, 200, corsHeaders);
+}
+
+// ============================================================
+// POST /api/promote — merge a preview branch into main
+// ============================================================
+async function handlePromote(request, env, corsHeaders, member) {
+  const { branch: requested, force = false } = await request.json();
+  const branch = requested && previewBranchName(requested);
+  if (!branch) return json({ error: 'Invalid preview branch' }, 400, corsHeaders);
+  if (!await getBranchSha(env, branch)) return json({ error: `${branch} not found` }, 404, corsHeaders);
+
+  const ahead = await compareRefs(env, 'main', branch);
+  const previewFiles = (ahead.files || []).map(f => f.filename);
+  const previewBlobs = (ahead.files || []).map(f => ({ path: f.filename, sha: f.status === 'removed' ? null : f.sha }));
+  if (!previewFiles.length) return json({ error: 'Nothing to promote' }, 400, corsHeaders);
+
+  // A file that also changed on main since the branch was cut would be silently lost or mangled
+  const mainSince = await compareRefs(env, ahead.merge_base_commit.sha, 'main');
+  const changedOnMain = new Set((mainSince.files || []).map(f => f.filename));
+  const conflicts = previewFiles.filter(f => changedOnMain.has(f));
+  if (conflicts.length && !force) {
+    return json({ error: 'Main changed underneath this preview', conflicts, branch }, 409, corsHeaders);
+  }
+
+  let commitUrl = null;
+  if (conflicts.length) {
+    // Forced: the preview's version of every file wins
+    commitUrl = (await commitFiles(env, 'main', previewBlobs, `Promote ${branch} over newer main via admin panel (${member})`)).html_url;
+  } else {
+    const res = await fetch(githubUrl(env, 'merges'), {
+      method: 'POST',
+      headers: { ...githubHeaders(env), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ base: 'main', head: branch, commit_message: `Promote ${branch} via admin panel (${member})` }),
+    });
+    if (res.status === 409) return json({ error: 'Merge conflict', conflicts: previewFiles, branch }, 409, corsHeaders);
+    if (!res.ok) { const err = await res.json(); throw new Error(`GitHub: ${err.message}`); }
+    if (res.status === 201) commitUrl = (await res.json()).html_url;
+  }
+
+  await deleteBranch(env, branch);
+  return json({ success: true, branch, files: previewFiles, commitUrl, message: 'Promoted to family.sweeneychris.com' }, 200, corsHeaders);
+}
+
+// ============================================================
+// POST /api/site-map
+// ============================================================
+async function handleSiteMap(env, corsHeaders) {
+  return json({ files: await listSiteFiles(env) }, 200, corsHeaders);
+}
+
+async function listSiteFiles(env) {
+  const res = await fetch(githubUrl(env, 'git/trees/main?recursive=1'), { headers: githubHeaders(env) });
+  const data = await res.json();
+  return data.tree?.filter(f => f.path.endsWith('.html')).map(f => f.path) || [];
+}
+
+// ============================================================
+// GET /api/page-source
+// ============================================================
+async function handlePageSource(url, env, corsHeaders) {
+  const pagePath = url.searchParams.get('path') || '/';
+  const filePath = pageRepoPath(pagePath);
+  const file = await fetchRepoFile(env, filePath);
+  if (!file) return json({ error: 'Page not found' }, 404, corsHeaders);
+  return json({ html: file.content, path: pagePath, filePath, sha: file.sha }, 200, corsHeaders);
+}
+
+// ============================================================
+// GET /api/page-history — commits that touched a page, newest first
+// ============================================================
+async function handlePageHistory(url, env, corsHeaders) {
+  const pagePath = url.searchParams.get('path') || '/';
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 20, 1), 100);
+  const filePath = pageRepoPath(pagePath);
+  const commits = await githubJson(env, 'GET', `commits?sha=main&path=${encodeURIComponent(filePath)}&per_page=${limit}`);
+  const revisions = commits.map(c => ({
+    sha: c.sha, message: c.commit?.message || '', author: c.commit?.author?.name || c.author?.login || 'Unknown',
+    date: c.commit?.author?.date || null, url: c.html_url,
+  }));
+  return json({ path: pagePath, filePath, revisions }, 200, corsHeaders);
+}
+
+// ============================================================
+// GET /api/page-diff — unified diff of a page between two revisions
+// ============================================================
+async function handlePageDiff(url, env, corsHeaders) {
+  const pagePath = url.searchParams.get('path') || '/';
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to') || 'main';
+  if (!from) return json({ error: 'Missing from revision' }, 400, corsHeaders);
+  const filePath = pageRepoPath(pagePath);
+
+  const [before, after] = await Promise.all([fetchRepoFile(env, filePath, from), fetchRepoFile(env, filePath, to)]);
+  const ops = diffLines(before ? before.content.split('\n') : [], after ? after.content.split('\n') : []);
+  return json({
+    path: pagePath, filePath, from, to,
+    additions: ops.filter(([op]) => op === '+').length,
+    deletions: ops.filter(([op]) => op === '-').length,
+    diff: formatUnifiedDiff(ops, `a/${filePath} (${from.slice(0, 7)})`, `b/${filePath} (${to.slice(0, 7)})`),
+  }, 200, corsHeaders);
+}
+
+// ============================================================
+// POST /api/page-rollback — restore an old revision as a new commit on main
+// ============================================================
+async function handlePageRollback(request, env, corsHeaders, member) {
+  const { path, sha } = await request.json();
+  if (!sha) return json({ error: 'Missing sha' }, 400, corsHeaders);
+  const filePath = pageRepoPath(path);
+  if (isProtectedRepoPath(filePath)) return json({ error: `${filePath} is protected` }, 403, corsHeaders);
+  const old = await fetchRepoFile(env, filePath, sha);
+  if (!old) return json({ error: `${filePath} does not exist at ${sha.slice(0, 7)}` }, 404, corsHeaders);
+  const commit = await commitFiles(env, 'main', [{ path: filePath, sha: old.sha }], `Roll back ${filePath} to ${sha.slice(0, 7)} via admin panel (${member})`);
+  return json({ success: true, path: filePath, restored: sha, commitUrl: commit.html_url, message: `Restored family.sweeneychris.com/${cleanPagePath(path)}` }, 200, corsHeaders);
+}
+
+// ============================================================
+// Line diff (Myers) for page revisions
+// ============================================================
+const MAX_DIFF_EDITS = 2000;
+
+// Returns [op, line] pairs where op is ' ' (unchanged), '-' (removed) or '+' (added)
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  return [
+    ...a.slice(0, start).map(line => [' ', line]),
+    ...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(line => [' ', line]),
+  ];
+}
+
+function myersDiff(a, b) {
+  const n = a.length, m = b.length, offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+  for (let d = 0; d <= Math.min(n + m, MAX_DIFF_EDITS); d++) {
+    // Snapshot of the furthest-reaching x per diagonal k in [-d, d], indexed k + d
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrackDiff(a, b, trace);
+    }
+  }
+  // Too different to be worth aligning — show it as a full replacement
+  return [...a.map(line => ['-', line]), ...b.map(line => ['+', line])];
+}
+
+function backtrackDiff(a, b, trace) {
+  const ops = [];
+  let x = a.length, y = b.length;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d])) ? k + 1 : k - 1;
+    const prevX = v[prevK + d], prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push([' ', a[--x]]); y--; }
+    if (x === prevX) ops.push(['+', b[--y]]);
+    else ops.push(['-', a[--x]]);
+  }
+  while (x > 0) ops.push([' ', a[--x]]);
+  return ops.reverse();
+}
+
+function formatUnifiedDiff(ops, fromLabel, toLabel, context = 3) {
+  let aLine = 1, bLine = 1;
+  const lines = ops.map(([op, text]) => {
+    const entry = { op, text, a: aLine, b: bLine };
+    if (op !== '+') aLine++;
+    if (op !== '-') bLine++;
+    return entry;
+  });
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].op === ' ') { i++; continue; }
+    // Grow the hunk while the next change is close enough that the context would overlap
+    let last = i;
+    for (let j = i + 1; j < lines.length && j - last <= 2 * context; j++) {
+      if (lines[j].op !== ' ') last = j;
+    }
+    const hunk = lines.slice(Math.max(0, i - context), Math.min(lines.length, last + context + 1));
+    const aCount = hunk.filter(l => l.op !== '+').length;
+    const bCount = hunk.filter(l => l.op !== '-').length;
+    out.push(`@@ -${aCount ? hunk[0].a : hunk[0].a - 1},${aCount} +${bCount ? hunk[0].b : hunk[0].b - 1},${bCount} @@`);
+    hunk.forEach(l => out.push(`${l.op}${l.text}`));
+    i = last + context + 1;
+  }
+  return out.join('\n');
+}
+
+// ============================================================
+// Google OAuth endpoints
+// ============================================================
+const OAUTH_STATE_TTL_SECONDS = 600;
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function oauthPage(heading, detail, { status = 200, script = '' } = {}) {
+  return new Response(`<html><body style="font-family:sans-serif;display:flex;align-items:center;justify-content:center;height:100vh;margin:0;background:#F5F0E8"><div style="text-align:center">${heading}<p style="color:#666">${escapeHtml(detail)}</p></div>${script ? `<script>${script}</script>` : ''}</body></html>`, {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+}
+
+function oauthFailure(detail, status = 400) {
+  return oauthPage('<h2>Failed</h2>', detail, { status, script: 'setTimeout(()=>window.close(),3000)' });
+}
+
+async function handleGoogleAuth(request, url, env, caller) {
+  // Members connect their own Google accounts; admins can also connect one for someone else (a kid's, say)
+  const userKey = url.searchParams.get('user') || caller.id;
+  if (userKey !== caller.id && caller.role !== 'admin') return new Response(`Signed in as ${caller.id}; you can only connect your own accounts`, { status: 403 });
+  if (!findMember(await loadMembers(env), userKey)) return new Response('Unknown member', { status: 400 });
+
+  // One-time nonce (kept in KV with the PKCE verifier) inside a signed, expiring state token
+  const nonce = crypto.randomUUID();
+  const verifier = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const challenge = base64UrlEncode(new Uint8Array(await crypto.subtle.digest('SHA-256', textEncoder.encode(verifier))));
+  await env.TOKENS.put(`oauth-state:${nonce}`, JSON.stringify({ user: userKey, by: caller.id, verifier }), { expirationTtl: OAUTH_STATE_TTL_SECONDS });
+  const state = await signToken('oauth-state', { nonce, user: userKey }, OAUTH_STATE_TTL_SECONDS, env);
+
+  const redirectUri = getGoogleRedirectUri(request);
+  const authUrl = new URL('https://accounts.google.com/o/oauth2/v2/auth');
+  authUrl.searchParams.set('client_id', env.GOOGLE_CLIENT_ID);
+  authUrl.searchParams.set('redirect_uri', redirectUri);
+  authUrl.searchParams.set('response_type', 'code');
+  authUrl.searchParams.set('scope', GOOGLE_SCOPES);
+  authUrl.searchParams.set('access_type', 'offline');
+  authUrl.searchParams.set('prompt', 'consent');
+  authUrl.searchParams.set('state', state);
+  authUrl.searchParams.set('code_challenge', challenge);
+  authUrl.searchParams.set('code_challenge_method', 'S256');
+  return Response.redirect(authUrl.toString(), 302);
+}
+
+async function handleGoogleCallback(request, url, env) {
+  const code = url.searchParams.get('code');
+  const error = url.searchParams.get('error');
+
+  const state = await verifyToken('oauth-state', url.searchParams.get('state'), env);
+  if (!state) return oauthFailure('This sign-in link is invalid or has expired. Start again from the admin panel.', 403);
+  const pending = await env.TOKENS.get(`oauth-state:${state.nonce}`, 'json');
+  if (!pending || pending.user !== state.user) return oauthFailure('This sign-in link has already been used. Start again from the admin panel.', 403);
+  await env.TOKENS.delete(`oauth-state:${state.nonce}`);
+  const userKey = state.user;
+
+  // The flow has to finish in the same signed-in session that started it
+  const caller = await getSessionMember(request, env);
+  if (!caller || caller.id !== (pending.by || userKey)) return oauthFailure(`Sign in to the admin panel as ${pending.by || userKey} first.`, 403);
+  const member = findMember(await loadMembers(env), userKey);
+  if (!member) return oauthFailure(`${userKey} is no longer a household member.`);
+  if (error) return oauthFailure(error);
+
+  const tokenRes = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: env.GOOGLE_CLIENT_ID, client_secret: env.GOOGLE_CLIENT_SECRET,
+      code, code_verifier: pending.verifier, redirect_uri: getGoogleRedirectUri(request), grant_type: 'authorization_code',
+    }),
+  });
+  const tokens = await tokenRes.json();
+  if (tokens.error) return oauthFailure(tokens.error_description || tokens.error);
+
+  let googleEmail = '';
+  try {
+    const r = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', { headers: { 'Authorization': `Bearer ${tokens.access_token}` } });
+    googleEmail = (await r.json()).email || '';
+  } catch {}
+  // Tokens are keyed by email, so without one accounts would overwrite each other
+  if (!googleEmail) return oauthFailure("Google didn't share this account's email address. Try again and allow access to it.");
+
+  await writeGoogleTokens(googleTokenKey(userKey, googleEmail), {
+    refresh_token: tokens.refresh_token, access_token: tokens.access_token,
+    expires_at: Date.now() + (tokens.expires_in * 1000), email: googleEmail, connected_at: new Date().toISOString(),
+  }, env);
+  await linkGoogleAccount(env, userKey, googleEmail, tokens.scope);
+
+  // JSON.stringify output is safe inside <script> once "<" is escaped
+  const message = JSON.stringify({ type: 'google-auth-complete', user: userKey, email: googleEmail }).replace(/</g, '\\u003c');
+  return oauthPage(`<div style="font-size:3rem;margin-bottom:1rem">✓</div><h2>${escapeHtml(member.name)}'s Google connected!</h2>`, googleEmail, {
+    script: `if(window.opener)window.opener.postMessage(${message},${JSON.stringify(SITE_ORIGIN)});setTimeout(()=>window.close(),2000)`,
+  });
+}
+
+async function handleConnections(env, corsHeaders) {
+  const connections = {};
+  for (const m of await loadMembers(env)) {
+    const accounts = await Promise.all((m.accounts || []).map(async a => ({
+      ...a, can_write_calendar: canWriteCalendar(a),
+      // Its tokens are gone once Google refused a refresh
+      reconnect_required: !await env.TOKENS.get(googleTokenKey(m.id, a.email)),
+    })));
+    connections[m.id] = {
+      name: m.name, color: m.color, connected: accounts.some(a => !a.reconnect_required),
+      accounts,
+      // First account, for clients that only show one per member
+      email: accounts[0]?.email || null, connected_at: accounts[0]?.connected_at || null,
+    };
+  }
+  return json({ connections }, 200, corsHeaders);
+}
+
+// ?user=<member>&email=<account>; without email every account the member linked is disconnected
+async function handleDisconnect(url, env, corsHeaders, caller) {
+  const userKey = url.searchParams.get('user');
+  const email = url.searchParams.get('email');
+  const member = findMember(await loadMembers(env), userKey);
+  if (!member) return json({ error: 'Invalid user' }, 400, corsHeaders);
+  if (userKey !== caller.id && caller.role !== 'admin') return json({ error: 'You can only disconnect your own accounts' }, 403, corsHeaders);
+  const accounts = (member.accounts || []).filter(a => !email || a.email.toLowerCase() === email.toLowerCase());
+  if (email && !accounts.length) return json({ error: 'Account not linked' }, 404, corsHeaders);
+  for (const a of accounts) await unlinkGoogleAccount(env, userKey, a.email);
+  return json({ success: true }, 200, corsHeaders);
+}
+
+// ============================================================
+// Response cache — merged calendar and mail results in STORE under cache:<kind>:<hash>.
+// Fresh for a minute; after that the cached copy is still served while a background
+// refresh runs, until it's an hour old. ?refresh=1 skips the cache.
+// ============================================================
+const CACHE_FRESH_SECONDS = 60;
+const CACHE_MAX_STALE_SECONDS = 3600;
+
+async function cacheKey(kind, params) {
+  const digest = await crypto.subtle.digest('SHA-256', textEncoder.encode(JSON.stringify(params)));
+  return `cache:${kind}:${base64UrlEncode(new Uint8Array(digest))}`;
+}
+
+// Returns { data, cached_at, stale }. Results are cached with their per-account errors, so one
+// revoked account doesn't stop everyone else's data from being cached.
+async function cachedJson(env, ctx, key, load, refresh = false) {
+  const hit = refresh ? null : await env.STORE.get(key, 'json');
+  const age = hit ? Date.now() - hit.cached_at : Infinity;
+  if (age < CACHE_FRESH_SECONDS * 1000) return { ...hit, stale: false };
+  if (age < CACHE_MAX_STALE_SECONDS * 1000) {
+    const update = refreshCache(env, key, load).catch(() => {});
+    if (ctx) ctx.waitUntil(update);
+    else await update;
+    return { ...hit, stale: true };
+  }
+  return { ...await refreshCache(env, key, load), stale: false };
+}
+
+async function refreshCache(env, key, load) {
+  const entry = { data: await load(), cached_at: Date.now() };
+  await env.STORE.put(key, JSON.stringify(entry), { expirationTtl: CACHE_MAX_STALE_SECONDS });
+  return entry;
+}
+
+// Calendar results merge every member, so any member's change clears them all; mail is cached per member
+async function clearMemberCache(env, memberId) {
+  await Promise.all([clearCache(env, 'cache:calendar:'), clearCache(env, `cache:gmail:${memberId}:`)]);
+}
+
+async function clearCache(env, prefix = 'cache:') {
+  let cursor;
+  do {
+    const page = await env.STORE.list({ prefix, cursor });
+    await Promise.all(page.keys.map(k => env.STORE.delete(k.name)));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+}
+
+// ============================================================
+// GET /api/calendar — ?from=&to= (dates or ISO times, default the next 14 days), ?max=
+// ============================================================
+const DEFAULT_CALENDAR_DAYS = 14;
+const MAX_CALENDAR_RANGE_DAYS = 366;
+const MAX_CALENDAR_EVENTS = 2500;
+
+async function handleCalendar(url, env, corsHeaders, ctx) {
+  const from = url.searchParams.get('from') ? new Date(url.searchParams.get('from')) : new Date();
+  const to = url.searchParams.get('to') ? new Date(url.searchParams.get('to')) : new Date(from.getTime() + DEFAULT_CALENDAR_DAYS * 86400000);
+  if (isNaN(from) || isNaN(to) || to <= from) return json({ error: 'from and to must be dates with from before to' }, 400, corsHeaders);
+  if (to - from > MAX_CALENDAR_RANGE_DAYS * 86400000) return json({ error: `Ranges are limited to ${MAX_CALENDAR_RANGE_DAYS} days` }, 400, corsHeaders);
+  // The dashboard widget asks for the next few; explicit ranges get everything in them
+  const ranged = url.searchParams.has('from') || url.searchParams.has('to');
+  const max = Math.min(Math.max(parseInt(url.searchParams.get('max')) || (ranged ? MAX_CALENDAR_EVENTS : 10), 1), MAX_CALENDAR_EVENTS);
+
+  // "Upcoming" requests share one cache entry rather than one per millisecond of `now`
+  const key = await cacheKey('calendar', { from: url.searchParams.get('from'), to: url.searchParams.get('to'), max });
+  const { data, cached_at, stale } = await cachedJson(env, ctx, key, () => loadCalendarEvents(env, { from, to, max }), url.searchParams.get('refresh') === '1');
+  const connected = await connectedUsers(env);
+  return json({ ...data, connected_users: connected, any_connected: connected.length > 0, cached_at: new Date(cached_at).toISOString(), stale }, 200, corsHeaders);
+}
+
+async function connectedUsers(env) {
+  return (await loadMembers(env)).filter(m => m.accounts?.length).map(m => m.id);
+}
+
+// Calendars an account has selected; accounts that never chose read just their primary calendar
+function selectedCalendars(account) {
+  return account.calendars?.length ? account.calendars : [{ id: 'primary', name: null }];
+}
+
+// Events in [from, to) from every selected calendar of every linked account, soonest first.
+// The same event seen through several calendars (both parents invited, a shared family
+// calendar) is listed once, with everyone who has it in `owners`. Accounts or calendars
+// that couldn't be read are listed in `errors` rather than failing the whole load.
+async function loadCalendarEvents(env, { from = new Date(), to = new Date(Date.now() + DEFAULT_CALENDAR_DAYS * 86400000), max = 10 } = {}) {
+  const errors = [];
+  // Every account and calendar is fetched at once; merging afterwards in account order keeps owners stable
+  const fetched = await Promise.all(linkedAccounts(await loadMembers(env)).map(async ({ member, account, email }) => {
+    let token;
+    try {
+      token = await getGoogleAccessToken(member.id, email, env);
+      if (!token) throw new Error('Google access was revoked; reconnect this account');
+    } catch (err) {
+      errors.push({ member: member.id, email, message: err.message });
+      return [];
+    }
+    return await Promise.all(selectedCalendars(account).map(async calendar => {
+      try {
+        const r = await fetch(`https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendar.id)}/events?timeMin=${encodeURIComponent(from.toISOString())}&timeMax=${encodeURIComponent(to.toISOString())}&maxResults=${Math.min(max, MAX_CALENDAR_EVENTS)}&singleEvents=true&orderBy=startTime`, { headers: { 'Authorization': `Bearer ${token}` } });
+        if (!r.ok) throw new Error(await googleErrorMessage(r));
+        return { member, email, calendar, data: await r.json() };
+      } catch (err) {
+        errors.push({ member: member.id, email, calendar: calendar.id, message: err.message });
+        return null;
+      }
+    }));
+  }));
+
+  const byKey = new Map();
+  for (const { member, email, calendar, data } of fetched.flat().filter(Boolean)) {
+    for (const e of data.items || []) {
+      if (e.status === 'cancelled') continue;
+      const start = e.start?.dateTime || e.start?.date;
+      const owner = { id: member.id, name: member.name, color: member.color, email: email || member.id, calendarId: calendar.id, calendar: calendar.name || data.summary || calendar.id };
+      // Recurring instances share an iCalUID, so the start time tells them apart
+      const key = `${e.iCalUID || e.id}|${new Date(start).getTime()}`;
+      const seen = byKey.get(key);
+      if (seen) {
+        if (!seen.owners.some(o => o.id === owner.id && o.email === owner.email)) seen.owners.push(owner);
+        continue;
+      }
+      byKey.set(key, {
+        id: e.id, uid: e.iCalUID || e.id, title: e.summary || '(No title)', start,
         end: e.end?.dateTime || e.end?.date, allDay: !!e.start?.date, location: e.location || null,
-        link: e.htmlLink, owner: userKey, ownerEmail: stored?.email || userKey,
-      }));
-    } catch {}
+        description: e.description || null, recurring: !!e.recurringEventId, seriesId: e.recurringEventId || null, link: e.htmlLink,
+        owner: member.id, ownerName: member.name, ownerColor: member.color, ownerEmail: owner.email, calendarId: calendar.id, calendar: owner.calendar,
+        owners: [owner],
+      });
+    }
   }
 
-  allEvents.sort((a, b) => new Date(a.start) - new Date(b.start));
-  const connected = [];
-  for (const u of VALID_USERS) { if (await env.TOKENS.get(`google:${u}`)) connected.push(u); }
-  return json({ events: allEvents, connected_users: connected, any_connected: connected.length > 0 }, 200, corsHeaders);
+  const events = [...byKey.values()].sort((a, b) => new Date(a.start) - new Date(b.start)).slice(0, max);
+  return { events, errors };
+}
+
+async function googleErrorMessage(res) {
+  const detail = (await res.json().catch(() => null))?.error;
+  return detail?.message || `Google returned ${res.status}`;
 }
 
 // ============================================================
-// GET /api/gmail
+// /api/calendar/calendars — GET lists each linked account's calendars (?user=, default yourself);
+// PATCH ?user=&email= with { calendars: [ids] } chooses which ones feed the family calendar
 // ============================================================
-async function handleGmail(url, env, corsHeaders) {
-  const max = parseInt(url.searchParams.get('max') || '5');
-  const allMessages = [];
+async function fetchCalendarList(token) {
+  const r = await fetch('https://www.googleapis.com/calendar/v3/users/me/calendarList?minAccessRole=reader', { headers: { 'Authorization': `Bearer ${token}` } });
+  if (!r.ok) throw new Error(`Google calendar list failed (${r.status})`);
+  return ((await r.json()).items || []).map(c => ({
+    id: c.primary ? 'primary' : c.id, name: c.summaryOverride || c.summary, color: c.backgroundColor || null, primary: !!c.primary,
+  }));
+}
+
+async function handleListCalendars(url, env, corsHeaders, caller) {
+  const userKey = url.searchParams.get('user') || caller.id;
+  if (userKey !== caller.id && caller.role !== 'admin') return json({ error: 'You can only see your own calendars' }, 403, corsHeaders);
+  const member = findMember(await loadMembers(env), userKey);
+  if (!member) return json({ error: 'Invalid user' }, 400, corsHeaders);
 
-  for (const userKey of VALID_USERS) {
-    const token = await getGoogleAccessToken(userKey, env);
+  const accounts = [];
+  for (const account of member.accounts || []) {
+    const token = await getGoogleAccessToken(member.id, account.email, env);
     if (!token) continue;
+    const selected = new Set(selectedCalendars(account).map(c => c.id));
+    const calendars = (await fetchCalendarList(token)).map(c => ({ ...c, selected: selected.has(c.id) }));
+    accounts.push({ email: account.email, calendars });
+  }
+  return json({ user: member.id, accounts }, 200, corsHeaders);
+}
+
+async function handleSelectCalendars(request, url, env, corsHeaders, caller) {
+  const userKey = url.searchParams.get('user') || caller.id;
+  const email = url.searchParams.get('email') || '';
+  if (userKey !== caller.id && caller.role !== 'admin') return json({ error: 'You can only choose your own calendars' }, 403, corsHeaders);
+  const { calendars } = await request.json();
+  if (!Array.isArray(calendars) || !calendars.length) return json({ error: 'calendars must be a non-empty list of calendar ids' }, 400, corsHeaders);
+
+  const members = await loadMembers(env);
+  const account = findMember(members, userKey)?.accounts?.find(a => a.email.toLowerCase() === email.toLowerCase());
+  if (!account) return json({ error: 'Account not linked' }, 404, corsHeaders);
+  const token = await getGoogleAccessToken(userKey, account.email, env);
+  if (!token) return json({ error: 'Reconnect this Google account first' }, 409, corsHeaders);
+
+  const available = new Map((await fetchCalendarList(token)).map(c => [c.id, c]));
+  const unknown = calendars.filter(id => !available.has(id));
+  if (unknown.length) return json({ error: `Not calendars on this account: ${unknown.join(', ')}` }, 400, corsHeaders);
+  account.calendars = calendars.map(id => ({ id, name: available.get(id).name }));
+  await saveMembers(env, members);
+  await clearCache(env, 'cache:calendar:');
+  return json({ calendars: account.calendars }, 200, corsHeaders);
+}
+
+// ============================================================
+// /api/calendar/events — POST creates, PATCH ?id= changes, DELETE ?id= removes an event.
+// All take ?user=<member>&email=<account>&calendar=<id> (default: the member's first account, primary calendar).
+// Event fields: { title, start, end, location, description, recurrence }, with start/end as
+// YYYY-MM-DD (all day) or YYYY-MM-DDTHH:MM (in FAMILY_TIMEZONE unless an offset is given).
+// ============================================================
+const EVENT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EVENT_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})?$/;
+const RECURRENCE_PATTERN = /^(RRULE|EXRULE|RDATE|EXDATE)[:;]/;
+
+function familyTimeZone(env) {
+  return env.FAMILY_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+// Missing ends default to an hour later (timed) or the following day (all day, end is exclusive)
+function defaultEventEnd(start) {
+  if (EVENT_DATE_PATTERN.test(start)) return new Date(Date.parse(`${start}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+  const offset = start.match(/(Z|[+-]\d{2}:\d{2})$/)?.[0];
+  // Shift the wall-clock digits and keep whatever offset (or none) the start had
+  const shifted = new Date(Date.parse(`${offset ? start.slice(0, -offset.length) : start}Z`) + 3600000).toISOString().slice(0, 19);
+  return offset ? shifted + offset : shifted;
+}
+
+// Milliseconds between a UTC instant and the same wall-clock reading in timeZone
+function zoneOffsetMs(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(instant).map(p => [p.type, p.value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+}
+
+// The instant an event date or time stands for; times without an offset are read in timeZone
+function eventInstant(value, timeZone) {
+  if (EVENT_DATE_PATTERN.test(value) || /(Z|[+-]\d{2}:\d{2})$/.test(value)) return Date.parse(value);
+  const wall = Date.parse(`${value}Z`);
+  if (isNaN(wall)) return NaN;
+  return wall - zoneOffsetMs(wall - zoneOffsetMs(wall, timeZone), timeZone);
+}
+
+// Checks event fields and returns { error } or { event } in Google's shape. `creating` requires title and start.
+function googleEventBody(fields, env, creating) {
+  const { title, start, location, description, recurrence } = fields || {};
+  let { end } = fields || {};
+  if (creating && (typeof title !== 'string' || !title.trim())) return { error: 'title is required' };
+  if (creating && !start) return { error: 'start is required' };
+  for (const [name, value] of Object.entries({ title, start, end, location, description })) {
+    if (value !== undefined && typeof value !== 'string') return { error: `${name} must be a string` };
+  }
+  if (!creating && end !== undefined && start === undefined) return { error: 'end can only be changed together with start' };
+  if (start !== undefined && !EVENT_DATE_PATTERN.test(start) && !EVENT_DATETIME_PATTERN.test(start)) return { error: 'start must be YYYY-MM-DD or YYYY-MM-DDTHH:MM' };
+  if (end !== undefined && !EVENT_DATE_PATTERN.test(end) && !EVENT_DATETIME_PATTERN.test(end)) return { error: 'end must be YYYY-MM-DD or YYYY-MM-DDTHH:MM' };
+  if (end === undefined && start !== undefined) {
+    // An update that moves the start must say where it ends, or the event's length would silently change
+    if (!creating) return { error: 'start and end must be changed together' };
+    end = defaultEventEnd(start);
+  }
+  if (start !== undefined && EVENT_DATE_PATTERN.test(start) !== EVENT_DATE_PATTERN.test(end)) return { error: 'start and end must both be dates or both be times' };
+  if (start !== undefined) {
+    // Offsets can differ between the two, so compare instants rather than the strings
+    const [startAt, endAt] = [start, end].map(value => eventInstant(value, familyTimeZone(env)));
+    if (isNaN(startAt) || isNaN(endAt)) return { error: 'start and end must be real dates' };
+    if (endAt <= startAt) return { error: 'end must be after start' };
+  }
+  if (recurrence !== undefined && (!Array.isArray(recurrence) || !recurrence.every(r => typeof r === 'string' && RECURRENCE_PATTERN.test(r)))) {
+    return { error: 'recurrence must be a list of RRULE/EXDATE lines' };
+  }
+
+  const timeZone = familyTimeZone(env);
+  // Google wants seconds in RFC 3339 times
+  const when = value => EVENT_DATE_PATTERN.test(value) ? { date: value } : { dateTime: value.replace(/T(\d{2}:\d{2})(?=$|Z|[+-])/, 'T$1:00'), timeZone };
+  const event = {};
+  if (title !== undefined) event.summary = title.trim();
+  if (start !== undefined) { event.start = when(start); event.end = when(end); }
+  if (location !== undefined) event.location = location;
+  if (description !== undefined) event.description = description;
+  if (recurrence !== undefined) event.recurrence = recurrence;
+  return { event };
+}
+
+// The linked account an event request targets, or { error, status, code }
+async function resolveCalendarAccount(env, userKey, email) {
+  const member = findMember(await loadMembers(env), userKey);
+  if (!member) return { error: 'Invalid user', status: 400 };
+  const accounts = member.accounts || [];
+  const account = email ? accounts.find(a => a.email.toLowerCase() === email.toLowerCase()) : accounts.find(canWriteCalendar) || accounts[0];
+  if (!account) return { error: `${member.name} has no linked Google account${email ? ` ${email}` : ''}`, status: 404 };
+  if (!canWriteCalendar(account)) {
+    return { error: `${account.email} was connected with read-only access; reconnect it to allow calendar changes`, status: 403, code: 'reconnect_required' };
+  }
+  return { member, account };
+}
+
+async function handleCalendarEvent(request, url, env, corsHeaders) {
+  const target = await resolveCalendarAccount(env, url.searchParams.get('user'), url.searchParams.get('email'));
+  if (target.error) return json({ error: target.error, code: target.code }, target.status, corsHeaders);
+  const calendarId = url.searchParams.get('calendar') || 'primary';
+  const eventId = url.searchParams.get('id');
+  if (request.method !== 'POST' && !eventId) return json({ error: 'Missing event id' }, 400, corsHeaders);
+
+  let event;
+  if (request.method !== 'DELETE') {
+    const body = googleEventBody(await request.json(), env, request.method === 'POST');
+    if (body.error) return json({ error: body.error }, 400, corsHeaders);
+    event = body.event;
+  }
+
+  const token = await getGoogleAccessToken(target.member.id, target.account.email, env);
+  if (!token) return json({ error: 'Reconnect this Google account', code: 'reconnect_required' }, 403, corsHeaders);
+  const base = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events`;
+  const r = await fetch(eventId ? `${base}/${encodeURIComponent(eventId)}` : base, {
+    method: request.method,
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: event ? JSON.stringify(event) : undefined,
+  });
+  if (!r.ok) {
+    const detail = (await r.json().catch(() => null))?.error;
+    const scopeMissing = r.status === 403 && detail?.errors?.some(e => e.reason === 'insufficientPermissions');
+    if (scopeMissing) return json({ error: 'Reconnect this Google account to allow calendar changes', code: 'reconnect_required' }, 403, corsHeaders);
+    return json({ error: detail?.message || `Google Calendar returned ${r.status}` }, r.status === 404 ? 404 : 502, corsHeaders);
+  }
+  await clearCache(env, 'cache:calendar:');
+  if (request.method === 'DELETE') return json({ success: true }, 200, corsHeaders);
+  const saved = await r.json();
+  return json({
+    event: {
+      id: saved.id, title: saved.summary, start: saved.start?.dateTime || saved.start?.date, end: saved.end?.dateTime || saved.end?.date,
+      allDay: !!saved.start?.date, location: saved.location || null, recurrence: saved.recurrence || null, link: saved.htmlLink,
+    },
+  }, 200, corsHeaders);
+}
+
+// propose_calendar_event: checks the proposal now so the model can fix mistakes, then hands it to the
+// client as the exact /api/calendar/events request to send once the member confirms
+async function runProposeCalendarEvent(call, env) {
+  const { action, member, account, calendar_id: calendarId = 'primary', event_id: eventId, ...fields } = call.input || {};
+  const fail = message => ({ toolResult: toolResultBlock(call, message, true) });
+  if (!['create', 'update', 'delete'].includes(action)) return fail('action must be create, update or delete');
+  if (action !== 'create' && !eventId) return fail(`event_id is required to ${action} an event; find it with get_calendar`);
+
+  const target = await resolveCalendarAccount(env, member, account);
+  if (target.error) return fail(target.code === 'reconnect_required' ? `${target.error}. Tell the family member; don't propose it again.` : target.error);
+  let event;
+  if (action !== 'delete') {
+    const eventFields = Object.fromEntries(['title', 'start', 'end', 'location', 'description', 'recurrence'].filter(k => fields[k] !== undefined).map(k => [k, fields[k]]));
+    const body = googleEventBody(eventFields, env, action === 'create');
+    if (body.error) return fail(body.error);
+    event = eventFields;
+    if (event.start && !event.end) event.end = defaultEventEnd(event.start);
+  }
+
+  const params = new URLSearchParams({ user: target.member.id, email: target.account.email, calendar: calendarId });
+  if (eventId) params.set('id', eventId);
+  const proposal = {
+    id: crypto.randomUUID(), action, member: target.member.id, memberName: target.member.name, account: target.account.email, calendarId,
+    eventId: eventId || null, event: event || null,
+    request: { method: { create: 'POST', update: 'PATCH', delete: 'DELETE' }[action], url: `/api/calendar/events?${params}`, body: event || null },
+  };
+  return { proposal, toolResult: toolResultBlock(call, `Proposed; waiting for ${target.member.name} to confirm in the admin panel. Nothing has been changed yet.`) };
+}
+
+// ============================================================
+// GET /api/calendar.ics?token= — the merged family calendar as a subscribable feed.
+// The token lives in STORE; GET /api/calendar/feed returns the link and POST rotates it.
+// ============================================================
+const CALENDAR_FEED_KEY = 'calendar-feed';
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+async function handleCalendarFeedLink(request, url, env, corsHeaders) {
+  let feed = await env.STORE.get(CALENDAR_FEED_KEY, 'json');
+  if (!feed || request.method === 'POST') {
+    feed = { token: base64UrlEncode(crypto.getRandomValues(new Uint8Array(24))), created_at: new Date().toISOString() };
+    await env.STORE.put(CALENDAR_FEED_KEY, JSON.stringify(feed));
+  }
+  return json({ url: `${url.origin}/api/calendar.ics?token=${feed.token}`, created_at: feed.created_at }, 200, corsHeaders);
+}
+
+async function handleCalendarFeed(url, env, ctx) {
+  const feed = await env.STORE.get(CALENDAR_FEED_KEY, 'json');
+  const token = url.searchParams.get('token') || '';
+  if (!feed || !timingSafeEqual(textEncoder.encode(token), textEncoder.encode(feed.token))) return new Response('Not found', { status: 404 });
+
+  const { data } = await cachedJson(env, ctx, await cacheKey('calendar', { feed: true }), () => loadCalendarEvents(env, {
+    from: new Date(Date.now() - FEED_PAST_DAYS * 86400000), to: new Date(Date.now() + FEED_FUTURE_DAYS * 86400000), max: MAX_CALENDAR_EVENTS,
+  }));
+  return new Response(formatIcsCalendar(data.events), {
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'Cache-Control': 'private, max-age=900' },
+  });
+}
+
+function formatIcsCalendar(events) {
+  const stamp = icsDateTime(new Date().toISOString());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//sweeneychris//family calendar//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:Family'];
+  for (const e of events) {
+    const who = e.owners.map(o => o.name).join(', ');
+    lines.push(
+      'BEGIN:VEVENT',
+      // Each instance of a recurring event is its own VEVENT here, so the start keeps UIDs unique
+      `UID:${icsText(e.recurring ? `${e.uid}-${icsDateTime(e.start)}` : e.uid)}`,
+      `DTSTAMP:${stamp}`,
+      e.allDay ? `DTSTART;VALUE=DATE:${icsDate(e.start)}` : `DTSTART:${icsDateTime(e.start)}`,
+      e.allDay ? `DTEND;VALUE=DATE:${icsDate(e.end)}` : `DTEND:${icsDateTime(e.end)}`,
+      `SUMMARY:${icsText(e.title)}`,
+    );
+    if (e.location) lines.push(`LOCATION:${icsText(e.location)}`);
+    lines.push(`DESCRIPTION:${icsText([who && `For: ${who}`, e.description].filter(Boolean).join('\n\n'))}`);
+    if (e.link) lines.push(`URL:${e.link}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// RFC 5545 TEXT escaping
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(date) {
+  return date.slice(0, 10).replace(/-/g, '');
+}
+
+function icsDateTime(dateTime) {
+  return new Date(dateTime).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space; never split a UTF-8 character
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = textEncoder.encode(ch).length;
+    if (octets + size > (parts.length ? 74 : 75)) { parts.push(current); current = ''; octets = 0; }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// ============================================================
+// GET /api/gmail — the signed-in member's own mail only.
+// ?q= (Gmail search, e.g. "from:school has:attachment"), ?labels=INBOX,Label_12 (default INBOX;
+// empty for all mail), ?max=, and ?pageToken= from a previous response's nextPageToken (sent with the same q and labels)
+// ============================================================
+const MAX_GMAIL_RESULTS = 50;
+
+async function handleGmail(url, env, corsHeaders, member, ctx) {
+  const max = Math.min(Math.max(parseInt(url.searchParams.get('max')) || 5, 1), MAX_GMAIL_RESULTS);
+  const labels = url.searchParams.has('labels') ? url.searchParams.get('labels').split(',').filter(Boolean) : ['INBOX'];
+  let cursor = null;
+  if (url.searchParams.get('pageToken')) {
+    try { cursor = JSON.parse(new TextDecoder().decode(base64UrlDecode(url.searchParams.get('pageToken')))); } catch {}
+    if (!cursor || typeof cursor !== 'object') return json({ error: 'Invalid pageToken' }, 400, corsHeaders);
+  }
+
+  const q = url.searchParams.get('q') || '';
+  const key = await cacheKey(`gmail:${member}`, { max, q, labels, cursor });
+  const { data, cached_at, stale } = await cachedJson(env, ctx, key, async () => {
+    const { messages, nextPageTokens, errors } = await loadRecentEmail(env, [member], { max, q, labels, cursor });
+    // One opaque token carries every account's next page; accounts that ran out drop out of it
+    const nextPageToken = Object.keys(nextPageTokens).length ? base64UrlEncode(textEncoder.encode(JSON.stringify(nextPageTokens))) : null;
+    return { messages, nextPageToken, errors };
+  }, url.searchParams.get('refresh') === '1');
+  const connected = await connectedUsers(env);
+  return json({ ...data, connected_users: connected, any_connected: connected.length > 0, cached_at: new Date(cached_at).toISOString(), stale }, 200, corsHeaders);
+}
+
+// Message headers across the given members' linked accounts, newest first. `cursor` maps account
+// email to Gmail's pageToken; when given, only those accounts are read. Accounts are read in
+// parallel and failures are reported per account in `errors`.
+async function loadRecentEmail(env, userKeys, { max = 5, q = '', labels = ['INBOX'], cursor = null } = {}) {
+  const nextPageTokens = {};
+  const errors = [];
+  const members = (await loadMembers(env)).filter(m => userKeys.includes(m.id));
+  const accounts = linkedAccounts(members).filter(({ email }) => !cursor || cursor[email]);
+
+  const perAccount = await Promise.all(accounts.map(async ({ member, email }) => {
     try {
-      const listRes = await fetch(`https://www.googleapis.com/gmail/v1/users/me/messages?maxResults=${max}&labelIds=INBOX`, { headers: { 'Authorization': `Bearer ${token}` } });
-      if (!listRes.ok) continue;
-      const ids = ((await listRes.json()).messages || []).map(m => m.id);
-      const stored = await env.TOKENS.get(`google:${userKey}`, 'json');
-
-      const msgs = await Promise.all(ids.map(async id => {
-        const r = await fetch(`https://www.googleapis.com/gmail/v1/users/me/messages/${id}?format=metadata&metadataHeaders=From&metadataHeaders=Subject&metadataHeaders=Date`, { headers: { 'Authorization': `Bearer ${token}` } });
-        if (!r.ok) return null;
-        const msg = await r.json();
+      const token = await getGoogleAccessToken(member.id, email, env);
+      if (!token) throw new Error('Google access was revoked; reconnect this account');
+      const params = new URLSearchParams({ maxResults: String(max) });
+      if (q) params.set('q', q);
+      labels.forEach(label => params.append('labelIds', label));
+      if (cursor) params.set('pageToken', cursor[email]);
+      const listRes = await fetch(`https://www.googleapis.com/gmail/v1/users/me/messages?${params}`, { headers: { 'Authorization': `Bearer ${token}` } });
+      if (!listRes.ok) throw new Error(await googleErrorMessage(listRes));
+      const list = await listRes.json();
+      if (list.nextPageToken) nextPageTokens[email] = list.nextPageToken;
+
+      const details = await fetchGmailBatch(token, (list.messages || []).map(m => `/gmail/v1/users/me/messages/${m.id}?format=metadata&metadataHeaders=From&metadataHeaders=Subject&metadataHeaders=Date`));
+      return details.filter(d => d.status === 200 && d.body).map(({ body: msg }) => {
         const h = {};
         (msg.payload?.headers || []).forEach(x => h[x.name.toLowerCase()] = x.value);
         return {
-          id: msg.id, from: h.from || 'Unknown', subject: h.subject || '(No subject)',
+          id: msg.id, threadId: msg.threadId, from: h.from || 'Unknown', subject: h.subject || '(No subject)',
           date: h.date || null, timestamp: msg.internalDate ? parseInt(msg.internalDate) : 0,
-          snippet: msg.snippet || '', unread: (msg.labelIds || []).includes('UNREAD'),
-          link: `https://mail.google.com/mail/u/0/#inbox/${msg.id}`, owner: userKey, ownerEmail: stored?.email || userKey,
+          snippet: msg.snippet || '', unread: (msg.labelIds || []).includes('UNREAD'), labels: msg.labelIds || [],
+          // /u/<email> opens the right mailbox when several accounts are signed in
+          link: `https://mail.google.com/mail/u/${encodeURIComponent(email || '0')}/#all/${msg.id}`,
+          owner: member.id, ownerName: member.name, ownerEmail: email || member.id,
         };
-      }));
-      allMessages.push(...msgs.filter(Boolean));
-    } catch {}
+      });
+    } catch (err) {
+      errors.push({ member: member.id, email, message: err.message });
+      return [];
+    }
+  }));
+
+  const allMessages = perAccount.flat().sort((a, b) => b.timestamp - a.timestamp);
+  return { messages: allMessages, nextPageTokens, errors };
+}
+
+// Gmail's batch endpoint takes up to 100 requests per round trip; Google recommends no more than 50
+const GMAIL_BATCH_SIZE = 50;
+
+// GETs the given API paths through one batch request per 50; results come back as { status, body } in request order
+async function fetchGmailBatch(token, paths) {
+  const results = [];
+  for (let i = 0; i < paths.length; i += GMAIL_BATCH_SIZE) {
+    const chunk = paths.slice(i, i + GMAIL_BATCH_SIZE);
+    const boundary = `batch_${crypto.randomUUID()}`;
+    const body = chunk.map((path, j) => `--${boundary}\r\nContent-Type: application/http\r\nContent-ID: <item${j}>\r\n\r\nGET ${path}\r\n\r\n`).join('') + `--${boundary}--\r\n`;
+    const r = await fetch('https://www.googleapis.com/batch/gmail/v1', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      body,
+    });
+    if (!r.ok) throw new Error(`Gmail batch request failed (${r.status})`);
+    const responses = parseBatchResponse(await r.text(), r.headers.get('Content-Type'));
+    chunk.forEach((_, j) => results.push(responses.get(`item${j}`) || { status: 0, body: null }));
+  }
+  return results;
+}
+
+// Each part: part headers, a blank line, the HTTP status line and headers, a blank line, the JSON body.
+// Responses are matched to requests by Content-ID, which Google echoes back as <response-item0>.
+function parseBatchResponse(text, contentType) {
+  const responses = new Map();
+  const boundary = (contentType || '').match(/boundary="?([^";]+)"?/)?.[1];
+  if (!boundary) return responses;
+  for (const part of text.split(`--${boundary}`)) {
+    const id = part.match(/Content-ID:\s*<response-([^>]+)>/i)?.[1];
+    const status = part.match(/^HTTP\/[\d.]+ (\d{3})/m)?.[1];
+    if (!id || !status) continue;
+    let body = null;
+    try { body = JSON.parse(part.split(/\r?\n\r?\n/).slice(2).join('\n\n').trim()); } catch {}
+    responses.set(id, { status: parseInt(status), body });
+  }
+  return responses;
+}
+
+// The signed-in member's linked account with this email, or their only one when email is omitted
+async function ownGmailAccount(env, memberId, email) {
+  const accounts = findMember(await loadMembers(env), memberId)?.accounts || [];
+  if (email) return accounts.find(a => a.email.toLowerCase() === email.toLowerCase()) || null;
+  return accounts.length === 1 ? accounts[0] : null;
+}
+
+// ============================================================
+// GET /api/gmail/labels — labels on each of the member's accounts, for the label picker
+// ============================================================
+async function handleGmailLabels(env, corsHeaders, member) {
+  const accounts = [];
+  for (const account of findMember(await loadMembers(env), member)?.accounts || []) {
+    const token = await getGoogleAccessToken(member, account.email, env);
+    if (!token) continue;
+    const r = await fetch('https://www.googleapis.com/gmail/v1/users/me/labels', { headers: { 'Authorization': `Bearer ${token}` } });
+    if (!r.ok) continue;
+    const labels = ((await r.json()).labels || [])
+      .filter(l => l.type === 'user' || ['INBOX', 'STARRED', 'IMPORTANT', 'SENT', 'UNREAD'].includes(l.id))
+      .map(l => ({ id: l.id, name: l.name, type: l.type }));
+    accounts.push({ email: account.email, labels });
+  }
+  return json({ accounts }, 200, corsHeaders);
+}
+
+// ============================================================
+// GET /api/gmail/message?id=&email= — one message with its decoded body and attachment list.
+// HTML bodies are cut down to an allowlist of formatting elements, attributes and http(s)/mailto/cid links.
+// Clients should still render `html` in a sandboxed iframe (srcdoc, sandbox without allow-scripts or allow-same-origin).
+// ============================================================
+async function handleGmailMessage(url, env, corsHeaders, member) {
+  const id = url.searchParams.get('id');
+  if (!id) return json({ error: 'Missing message id' }, 400, corsHeaders);
+  const account = await ownGmailAccount(env, member, url.searchParams.get('email'));
+  if (!account) return json({ error: 'Pick which of your accounts with ?email=' }, 400, corsHeaders);
+  const token = await getGoogleAccessToken(member, account.email, env);
+  if (!token) return json({ error: 'Reconnect this Google account' }, 403, corsHeaders);
+
+  const r = await fetch(`https://www.googleapis.com/gmail/v1/users/me/messages/${encodeURIComponent(id)}?format=full`, { headers: { 'Authorization': `Bearer ${token}` } });
+  if (r.status === 404) return json({ error: 'Message not found' }, 404, corsHeaders);
+  if (!r.ok) throw new Error(`Gmail returned ${r.status}`);
+  const msg = await r.json();
+
+  const h = {};
+  (msg.payload?.headers || []).forEach(x => h[x.name.toLowerCase()] = x.value);
+  const { text, html, attachments } = collectMessageParts(msg.payload);
+  return json({
+    message: {
+      id: msg.id, threadId: msg.threadId, from: h.from || 'Unknown', to: h.to || null, cc: h.cc || null,
+      subject: h.subject || '(No subject)', date: h.date || null, timestamp: msg.internalDate ? parseInt(msg.internalDate) : 0,
+      labels: msg.labelIds || [], unread: (msg.labelIds || []).includes('UNREAD'),
+      text, html: html ? await sanitizeEmailHtml(html) : null, attachments,
+      link: `https://mail.google.com/mail/u/${encodeURIComponent(account.email)}/#all/${msg.id}`,
+    },
+  }, 200, corsHeaders);
+}
+
+// Walks the MIME tree: the first text/plain and text/html bodies, and every part with a filename
+function collectMessageParts(part, found = { text: null, html: null, attachments: [] }) {
+  if (!part) return found;
+  const headers = {};
+  (part.headers || []).forEach(x => headers[x.name.toLowerCase()] = x.value);
+  if (part.filename) {
+    found.attachments.push({
+      partId: part.partId, attachmentId: part.body?.attachmentId || null, filename: part.filename, mimeType: part.mimeType,
+      size: part.body?.size || 0, inline: /^inline/i.test(headers['content-disposition'] || ''),
+    });
+  } else if (part.body?.data && (part.mimeType === 'text/plain' || part.mimeType === 'text/html')) {
+    const charset = (headers['content-type'] || '').match(/charset="?([^";]+)"?/i)?.[1] || 'utf-8';
+    const body = decodeMessageBody(part.body.data, charset);
+    if (part.mimeType === 'text/plain' && found.text === null) found.text = body;
+    if (part.mimeType === 'text/html' && found.html === null) found.html = body;
+  }
+  (part.parts || []).forEach(child => collectMessageParts(child, found));
+  return found;
+}
+
+function decodeMessageBody(data, charset) {
+  const bytes = base64UrlDecode(data.replace(/=+$/, ''));
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    // Unknown charset label
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+// Formatting-only elements kept in email HTML; anything else is unwrapped to its text,
+// or dropped whole when its content isn't meant to be read (scripts, styles, svg...)
+const EMAIL_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'div', 'dl', 'dt',
+  'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'ol', 'p', 'pre', 'q', 's', 'small',
+  'span', 'strike', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt', 'u', 'ul',
+]);
+const EMAIL_DROPPED_ELEMENTS = 'head, title, script, style, svg, math, template, noscript, iframe, frame, frameset, object, embed, applet, textarea, select, option, xmp, noembed, noframes';
+const EMAIL_ATTRIBUTES = new Set([
+  'align', 'alt', 'bgcolor', 'border', 'cellpadding', 'cellspacing', 'color', 'colspan', 'dir', 'face', 'height', 'href', 'lang',
+  'rowspan', 'size', 'span', 'src', 'start', 'style', 'title', 'valign', 'width',
+]);
+// Checked against the raw attribute value, so entity or control-character tricks (java&#9;script:) never match
+const EMAIL_URL_PATTERN = /^(https?|mailto|cid):/i;
+
+function safeEmailAttribute(name, value) {
+  if (!EMAIL_ATTRIBUTES.has(name)) return false;
+  if (name === 'href' || name === 'src') return EMAIL_URL_PATTERN.test(value.trim());
+  // Inline styles stay for layout, but not ones that load anything
+  if (name === 'style') return !/url\s*\(|expression|@import|\\|&/i.test(value);
+  return true;
+}
+
+async function sanitizeEmailHtml(html) {
+  const rewriter = new HTMLRewriter()
+    .on(EMAIL_DROPPED_ELEMENTS, { element(el) { el.remove(); } })
+    .on('*', {
+      element(el) {
+        if (el.removed) return;
+        if (!EMAIL_ELEMENTS.has(el.tagName.toLowerCase())) {
+          el.removeAndKeepContent();
+          return;
+        }
+        for (const [name, value] of [...el.attributes]) {
+          if (!safeEmailAttribute(name.toLowerCase(), value)) el.removeAttribute(name);
+        }
+      },
+    })
+    .on('a[href]', { element(el) { el.setAttribute('target', '_blank'); el.setAttribute('rel', 'noopener noreferrer'); } });
+  return await rewriter.transform(new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } })).text();
+}
+
+// ============================================================
+// Daily digest — the cron trigger asks Claude to sum up tomorrow from every member's calendar and
+// recent important mail. Stored in STORE as digest:<date> (the day it covers) and kept a year.
+// It draws on everyone's mail, so only admins can read it; with DIGEST_PAGE_PATH set, tomorrow's
+// calendar events (never anything from email) are also committed to the site as a page.
+// ============================================================
+const DIGEST_TTL_SECONDS = 365 * 86400;
+const DIGEST_EMAIL_QUERY = 'newer_than:2d (is:important OR has:attachment)';
+const DIGEST_EMAIL_PER_MEMBER = 15;
+
+const DIGEST_PROMPT = `You write the evening digest for the Sweeney family: a short briefing on tomorrow.
+You get tomorrow's calendar events and each member's recent important email. Cover who needs to be where and when,
+anything that needs signing or replying to, and anything due (payments, forms, things to bring).
+Only include what the events and email actually say; skip newsletters and anything without an action or a time.
+Be brief and friendly. Call write_digest with the result.`;
+
+const DIGEST_TOOL = {
+  name: 'write_digest',
+  description: 'Record the digest for tomorrow.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'One or two sentences on the shape of the day' },
+      schedule: {
+        type: 'array',
+        description: 'Who needs to be where, in time order',
+        items: {
+          type: 'object',
+          properties: { time: { type: 'string' }, who: { type: 'string' }, what: { type: 'string' }, where: { type: 'string' } },
+          required: ['time', 'who', 'what'],
+        },
+      },
+      to_sign: {
+        type: 'array',
+        description: 'Forms, permission slips and replies that need someone',
+        items: {
+          type: 'object',
+          properties: { what: { type: 'string' }, who: { type: 'string' }, by: { type: 'string' } },
+          required: ['what'],
+        },
+      },
+      due: {
+        type: 'array',
+        description: 'Payments, deadlines and things to bring',
+        items: {
+          type: 'object',
+          properties: { what: { type: 'string' }, who: { type: 'string' }, when: { type: 'string' } },
+          required: ['what'],
+        },
+      },
+    },
+    required: ['summary', 'schedule', 'to_sign', 'due'],
+  },
+};
+
+// YYYY-MM-DD for an instant, as seen in the family's time zone
+function localDate(date, timeZone) {
+  return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+// Builds, stores and (optionally) publishes the digest for the day after `now`. Throws with
+// .status 402 when the monthly budget is spent and set to refuse.
+async function runDailyDigest(env, now = new Date()) {
+  const timeZone = familyTimeZone(env);
+  const date = localDate(new Date(now.getTime() + 86400000), timeZone);
+  const budget = await getBudgetStatus(env);
+  if (budget.exceeded && budget.over_budget === 'refuse') throw Object.assign(new Error('Monthly assistant budget reached'), { status: 402 });
+  const model = budget.exceeded ? (env.CLAUDE_BUDGET_MODEL || BUDGET_MODEL) : undefined;
+
+  // Two days out covers all of tomorrow whatever the offset; then keep just the events that touch it
+  const { events, errors: calendarErrors } = await loadCalendarEvents(env, { from: now, to: new Date(now.getTime() + 2 * 86400000), max: 250 });
+  const tomorrow = events.filter(e => e.allDay ? e.start <= date && date < e.end : localDate(new Date(e.start), timeZone) === date);
+  const time = iso => new Date(iso).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+
+  const members = (await loadMembers(env)).filter(m => m.accounts?.length);
+  const mail = await Promise.all(members.map(async m => {
+    const { messages, errors } = await loadRecentEmail(env, [m.id], { max: DIGEST_EMAIL_PER_MEMBER, q: DIGEST_EMAIL_QUERY, labels: ['INBOX'] });
+    return { member: m.name, messages: messages.map(x => ({ from: x.from, subject: x.subject, snippet: x.snippet, date: x.date })), errors };
+  }));
+
+  const input = {
+    date, weekday: new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
+    events: tomorrow.map(e => ({
+      title: e.title, when: e.allDay ? 'all day' : `${time(e.start)}–${time(e.end)}`, location: e.location,
+      for: e.owners.map(o => o.name), description: e.description?.slice(0, 500) || null,
+    })),
+    email: mail.map(({ member, messages }) => ({ member, messages })),
+  };
+
+  const meter = newUsageMeter();
+  let pagePath = null;
+  try {
+    const res = await requestClaude(env, {
+      model,
+      max_tokens: 2048,
+      system: DIGEST_PROMPT,
+      tools: [DIGEST_TOOL],
+      tool_choice: { type: 'tool', name: 'write_digest' },
+      messages: [{ role: 'user', content: JSON.stringify(input) }],
+    });
+    const data = await res.json();
+    meterAdd(meter, data.model || res.model, data.usage);
+    const call = (data.content || []).find(b => b.type === 'tool_use' && b.name === 'write_digest');
+    if (!call) throw new Error('Claude did not return a digest');
+
+    const { summary = '', schedule = [], to_sign: toSign = [], due = [] } = call.input || {};
+    const digest = {
+      date, weekday: input.weekday, generated_at: new Date().toISOString(), summary, schedule, to_sign: toSign, due,
+      events: input.events.map(({ description, ...event }) => event),
+      event_count: tomorrow.length, email_count: mail.reduce((n, m) => n + m.messages.length, 0),
+      errors: [...calendarErrors, ...mail.flatMap(m => m.errors)],
+    };
+
+    if (env.DIGEST_PAGE_PATH) {
+      pagePath = env.DIGEST_PAGE_PATH;
+      const filePath = pageRepoPath(pagePath);
+      const html = renderDigestPage(digest);
+      const validation = validatePage(html, filePath);
+      digest.page = { path: pagePath, validation };
+      if (validation.ok) {
+        const commit = await commitFiles(env, 'main', [{ path: filePath, base64: encodeBase64Utf8(html) }], `Digest for ${date} (scheduled)`);
+        digest.page.commitUrl = commit.html_url;
+      }
+    }
+
+    digest.usage = usageSummary(meter);
+    await env.STORE.put(`digest:${date}`, JSON.stringify(digest), {
+      expirationTtl: DIGEST_TTL_SECONDS, metadata: { summary: summary.slice(0, 200), generated_at: digest.generated_at },
+    });
+    return digest;
+  } finally {
+    if (meter.calls) await recordUsage(env, meter, { kind: 'digest', path: pagePath });
+  }
+}
+
+// The site page only lists calendar events: the summary and the to-sign and due lists can quote email
+function renderDigestPage(digest) {
+  const events = digest.events.length
+    ? `<section class="card"><ul>${digest.events.map(e => `<li><span class="time">${escapeHtml(e.when)}</span> ${escapeHtml(e.title || '(No title)')}${e.location ? ` — ${escapeHtml(e.location)}` : ''}${e.for.length ? ` <span class="who">${escapeHtml(e.for.join(', '))}</span>` : ''}</li>`).join('')}</ul></section>`
+    : '<section class="card"><p>Nothing on the calendar.</p></section>';
+  const heading = new Date(`${digest.date}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Tomorrow — ${escapeHtml(heading)}</title>
+<style>
+body { font-family: -apple-system, sans-serif; background: #F5F0E8; color: #2C2C2C; margin: 0; padding: 1.5rem; }
+main { max-width: 640px; margin: 0 auto; }
+a { color: #2E6B8A; }
+.card { background: white; border-radius: 12px; padding: 1rem 1.25rem; margin: 1rem 0; }
+ul { margin: 0; padding-left: 1.2rem; }
+li { margin: .35rem 0; }
+.time { font-weight: 600; }
+.who { color: #2E6B8A; font-size: .9em; }
+.meta { color: #777; font-size: .85rem; }
+</style>
+</head>
+<body>
+<main>
+<a href="/">← Dashboard</a>
+<h1>Tomorrow: ${escapeHtml(heading)}</h1>
+${events}
+<p class="meta">Updated ${escapeHtml(new Date(digest.generated_at).toUTCString())}</p>
+</main>
+<script src="/shared/edit-widget.js"></script>
+</body>
+</html>
+`;
+}
+
+// ============================================================
+// GET /api/digest (?date=, default the newest), POST /api/digest (build tomorrow's now), GET /api/digest/history
+// ============================================================
+async function listDigests(env) {
+  const digests = [];
+  let cursor;
+  do {
+    const page = await env.STORE.list({ prefix: 'digest:', cursor });
+    page.keys.forEach(k => digests.push({ date: k.name.slice('digest:'.length), ...(k.metadata || {}) }));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return digests.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+async function handleDigest(url, env, corsHeaders) {
+  const date = url.searchParams.get('date') || (await listDigests(env))[0]?.date;
+  const digest = date ? await env.STORE.get(`digest:${date}`, 'json') : null;
+  if (!digest) return json({ error: 'No digest yet' }, 404, corsHeaders);
+  return json({ digest }, 200, corsHeaders);
+}
+
+async function handleRunDigest(env, corsHeaders) {
+  try {
+    return json({ digest: await runDailyDigest(env) }, 200, corsHeaders);
+  } catch (err) {
+    if (err.status === 402) return json({ error: err.message, code: 'budget_exceeded' }, 402, corsHeaders);
+    throw err;
+  }
+}
+
+async function handleDigestHistory(env, corsHeaders) {
+  return json({ digests: await listDigests(env) }, 200, corsHeaders);
+}
+
+// ============================================================
+// Family data — named collections (recipes, camp sessions, chores...) that generated pages read
+// and edit through /api/data instead of hardcoding content. Definitions live in STORE under
+// `collections`; each collection's items are one JSON array under data:<name>.
+// Like the member registry, a collection is rewritten whole, so two simultaneous edits can race.
+// ============================================================
+const COLLECTIONS_KEY = 'collections';
+const COLLECTION_NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_COLLECTION_ITEMS = 1000;
+const MAX_ITEM_BYTES = 64 * 1024;
+// Set by the server on every item; ignored if a client sends them
+const SERVER_ITEM_FIELDS = ['id', 'created_at', 'updated_at', 'updated_by'];
+
+// The collections the family site starts with; admins can add more or change these through /api/collections
+const DEFAULT_COLLECTIONS = {
+  recipes: {
+    description: 'Family recipes',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string' },
+        servings: { type: 'integer', minimum: 1 },
+        prep_minutes: { type: 'integer', minimum: 0 },
+        cook_minutes: { type: 'integer', minimum: 0 },
+        ingredients: { type: 'array', items: { type: 'string' } },
+        steps: { type: 'array', items: { type: 'string' } },
+        tags: { type: 'array', items: { type: 'string' } },
+        source: { type: 'string' },
+        favorite: { type: 'boolean' },
+      },
+    },
+  },
+  camp_sessions: {
+    description: 'Summer camp sessions for the kids',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['camper', 'camp', 'start_date', 'end_date'],
+      properties: {
+        camper: { type: 'string', minLength: 1 },
+        camp: { type: 'string', minLength: 1 },
+        start_date: { type: 'string', format: 'date' },
+        end_date: { type: 'string', format: 'date' },
+        location: { type: 'string' },
+        cost: { type: 'number', minimum: 0 },
+        paid: { type: 'boolean' },
+        forms_due: { type: 'string', format: 'date' },
+        notes: { type: 'string' },
+      },
+    },
+  },
+  chores: {
+    description: 'Household chores and who does them',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['title'],
+      properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        assignee: { type: 'string', description: 'Household member id' },
+        frequency: { type: 'string', enum: ['once', 'daily', 'weekly', 'monthly'] },
+        due: { type: 'string', format: 'date' },
+        done: { type: 'boolean' },
+        points: { type: 'integer', minimum: 0 },
+      },
+    },
+  },
+};
+
+async function loadCollections(env) {
+  const stored = await env.STORE.get(COLLECTIONS_KEY, 'json');
+  if (stored) return stored;
+  const created_at = new Date().toISOString();
+  const collections = Object.fromEntries(Object.entries(DEFAULT_COLLECTIONS).map(([name, c]) => [name, { ...c, created_at }]));
+  await env.STORE.put(COLLECTIONS_KEY, JSON.stringify(collections));
+  return collections;
+}
+
+async function loadItems(env, name) {
+  return await env.STORE.get(`data:${name}`, 'json') || [];
+}
+
+async function saveItems(env, name, items) {
+  await env.STORE.put(`data:${name}`, JSON.stringify(items));
+}
+
+// Own properties only, so names like "constructor" don't resolve to Object.prototype
+function findCollection(collections, name) {
+  return typeof name === 'string' && COLLECTION_NAME_PATTERN.test(name) && Object.hasOwn(collections, name) ? collections[name] : null;
+}
+
+// The FAMILY DATA section of the chat system prompt: how pages reach the API, and every collection's schema
+function familyDataPrompt(collections, apiOrigin) {
+  const lines = Object.entries(collections).map(([name, c]) => `- ${name}${c.description ? ` (${c.description})` : ''}: ${JSON.stringify(c.schema)}`);
+  return `## FAMILY DATA
+Pages load and save family content through the data API at ${apiOrigin}. Every request needs credentials: 'include'
+(and Content-Type: application/json when sending a body):
+- GET ${apiOrigin}/api/data?collection=NAME → { items: [...] }; add &id=ID for { item }
+- POST ${apiOrigin}/api/data?collection=NAME with the item → { item }
+- PATCH ${apiOrigin}/api/data?collection=NAME&id=ID with just the changed fields → { item }
+- DELETE ${apiOrigin}/api/data?collection=NAME&id=ID
+Items come back with id, created_at, updated_at and updated_by added. A 400 response has { error, errors: [{ path, message }] };
+show 401 as "sign in to the admin panel" and 403 as "ask a parent to make this change".
+Collections and their JSON schemas:
+${lines.join('\n')}`;
+}
+
+// ============================================================
+// JSON Schema subset — type, enum, const, required, properties, additionalProperties, items,
+// min/maxLength, pattern, format (date, date-time, email, uri), minimum/maximum, min/maxItems
+// ============================================================
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+const SCHEMA_KEYWORDS = new Set([
+  'type', 'enum', 'const', 'required', 'properties', 'additionalProperties', 'items', 'minLength', 'maxLength', 'pattern',
+  'format', 'minimum', 'maximum', 'minItems', 'maxItems', 'title', 'description', 'default',
+]);
+const SCHEMA_FORMATS = {
+  'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+  'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'uri': value => { try { return !!new URL(value).protocol; } catch { return false; } },
+};
+
+// __proto__, constructor, toString... — names that would resolve through Object.prototype
+function isReservedKey(key) {
+  return key in Object.prototype;
+}
+
+function schemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Returns a list of { path, message }; empty when the value matches
+function validateAgainstSchema(value, schema, path = '', errors = []) {
+  const at = path || '(item)';
+  const actual = schemaType(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.some(t => t === actual || (t === 'integer' && Number.isInteger(value)) || (t === 'number' && actual === 'number'));
+    if (!matches) { errors.push({ path: at, message: `must be ${allowed.join(' or ')}` }); return errors; }
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) errors.push({ path: at, message: `must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}` });
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push({ path: at, message: `must match ${schema.pattern}` });
+    if (schema.format && SCHEMA_FORMATS[schema.format] && !SCHEMA_FORMATS[schema.format](value)) errors.push({ path: at, message: `must be a valid ${schema.format}` });
+  }
+  if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`, errors));
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key) || value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (isReservedKey(key)) errors.push({ path: childPath, message: 'is not an allowed field name' });
+      else if (Object.hasOwn(schema.properties || {}, key)) validateAgainstSchema(child, schema.properties[key], childPath, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: childPath, message: 'is not a field in this collection' });
+      else if (typeof schema.additionalProperties === 'object') validateAgainstSchema(child, schema.additionalProperties, childPath, errors);
+    }
+  }
+  return errors;
+}
+
+// Checks a schema an admin submits only uses what validateAgainstSchema understands
+function checkSchemaDefinition(schema, path = 'schema') {
+  if (!schema || schemaType(schema) !== 'object') return [`${path} must be an object`];
+  const problems = [];
+  for (const key of Object.keys(schema)) {
+    if (!SCHEMA_KEYWORDS.has(key)) problems.push(`${path}.${key} is not supported`);
   }
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (types.some(t => !SCHEMA_TYPES.includes(t))) problems.push(`${path}.type must be one of ${SCHEMA_TYPES.join(', ')}`);
+  if (schema.format && !SCHEMA_FORMATS[schema.format]) problems.push(`${path}.format must be one of ${Object.keys(SCHEMA_FORMATS).join(', ')}`);
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) problems.push(`${path}.enum must be a list`);
+  if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(r => typeof r !== 'string'))) problems.push(`${path}.required must be a list of field names`);
+  if (schema.pattern !== undefined) {
+    try { new RegExp(schema.pattern, 'u'); } catch { problems.push(`${path}.pattern is not a valid regular expression`); }
+  }
+  const fieldNames = [...Object.keys(schema.properties || {}), ...(Array.isArray(schema.required) ? schema.required : [])];
+  for (const key of fieldNames.filter(isReservedKey)) problems.push(`${path}: ${key} can't be used as a field name`);
+  for (const [key, child] of Object.entries(schema.properties || {})) problems.push(...checkSchemaDefinition(child, `${path}.properties.${key}`));
+  if (schema.items !== undefined) problems.push(...checkSchemaDefinition(schema.items, `${path}.items`));
+  if (typeof schema.additionalProperties === 'object') problems.push(...checkSchemaDefinition(schema.additionalProperties, `${path}.additionalProperties`));
+  return problems;
+}
+
+// ============================================================
+// /api/collections — GET lists collections and schemas; POST ?name= { description, schema } creates or
+// replaces one; DELETE ?name= removes it and its items (admins only for changes)
+// ============================================================
+async function handleListCollections(env, corsHeaders) {
+  const collections = await loadCollections(env);
+  return json({ collections: Object.entries(collections).map(([name, c]) => ({ name, ...c })) }, 200, corsHeaders);
+}
+
+async function handleSaveCollection(request, url, env, corsHeaders) {
+  const name = url.searchParams.get('name');
+  if (!name || !COLLECTION_NAME_PATTERN.test(name)) return json({ error: 'Collection names are lowercase letters, digits and underscores' }, 400, corsHeaders);
+  const { description = '', schema } = await request.json();
+  const problems = checkSchemaDefinition(schema);
+  if (!problems.length && [].concat(schema.type || []).join() !== 'object') problems.push('schema.type must be "object"');
+  if (problems.length) return json({ error: 'Invalid schema', problems }, 400, corsHeaders);
+
+  const collections = await loadCollections(env);
+  // Existing items have to keep validating, or they'd become uneditable
+  const invalid = (await loadItems(env, name))
+    .map(item => ({ id: item.id, errors: validateAgainstSchema(itemFields(item), schema) }))
+    .filter(r => r.errors.length);
+  if (invalid.length) return json({ error: `${invalid.length} existing item(s) don't match the new schema`, invalid: invalid.slice(0, 20) }, 409, corsHeaders);
+
+  collections[name] = { description, schema, created_at: findCollection(collections, name)?.created_at || new Date().toISOString(), updated_at: new Date().toISOString() };
+  await env.STORE.put(COLLECTIONS_KEY, JSON.stringify(collections));
+  return json({ collection: { name, ...collections[name] } }, 200, corsHeaders);
+}
+
+async function handleDeleteCollection(url, env, corsHeaders) {
+  const name = url.searchParams.get('name');
+  const collections = await loadCollections(env);
+  if (!findCollection(collections, name)) return json({ error: 'Collection not found' }, 404, corsHeaders);
+  delete collections[name];
+  await env.STORE.put(COLLECTIONS_KEY, JSON.stringify(collections));
+  await env.STORE.delete(`data:${name}`);
+  return json({ success: true }, 200, corsHeaders);
+}
+
+// ============================================================
+// /api/data?collection= — items: GET (all, or one with &id=), POST to add, PATCH &id= to change
+// some fields, DELETE &id= to remove. Bodies are validated against the collection's schema.
+// ============================================================
+function itemFields(item) {
+  const fields = { ...item };
+  SERVER_ITEM_FIELDS.forEach(f => delete fields[f]);
+  return fields;
+}
+
+// Schema errors for an item, plus the size limit; null when it's fine
+function itemError(fields, collection) {
+  const errors = validateAgainstSchema(fields, collection.schema);
+  if (textEncoder.encode(JSON.stringify(fields)).length > MAX_ITEM_BYTES) errors.push({ path: '(item)', message: `must be under ${MAX_ITEM_BYTES / 1024} KB` });
+  return errors.length ? { error: 'Item does not match the collection schema', errors } : null;
+}
+
+async function readDataRequest(url, env, corsHeaders) {
+  const name = url.searchParams.get('collection');
+  const collection = findCollection(await loadCollections(env), name);
+  if (!collection) return { response: json({ error: `Unknown collection ${name}` }, 404, corsHeaders) };
+  return { name, collection, items: await loadItems(env, name) };
+}
+
+async function handleGetData(url, env, corsHeaders) {
+  const { response, items } = await readDataRequest(url, env, corsHeaders);
+  if (response) return response;
+  const id = url.searchParams.get('id');
+  if (!id) return json({ items }, 200, corsHeaders);
+  const item = items.find(i => i.id === id);
+  return item ? json({ item }, 200, corsHeaders) : json({ error: 'Item not found' }, 404, corsHeaders);
+}
+
+async function handleCreateData(request, url, env, corsHeaders, member) {
+  const { response, name, collection, items } = await readDataRequest(url, env, corsHeaders);
+  if (response) return response;
+  if (items.length >= MAX_COLLECTION_ITEMS) return json({ error: `${name} is full (${MAX_COLLECTION_ITEMS} items)` }, 409, corsHeaders);
+  const fields = itemFields(await request.json());
+  const invalid = itemError(fields, collection);
+  if (invalid) return json(invalid, 400, corsHeaders);
 
-  allMessages.sort((a, b) => b.timestamp - a.timestamp);
-  const connected = [];
-  for (const u of VALID_USERS) { if (await env.TOKENS.get(`google:${u}`)) connected.push(u); }
-  return json({ messages: allMessages, connected_users: connected, any_connected: connected.length > 0 }, 200, corsHeaders);
+  const now = new Date().toISOString();
+  const item = { id: crypto.randomUUID(), ...fields, created_at: now, updated_at: now, updated_by: member };
+  await saveItems(env, name, [...items, item]);
+  return json({ item }, 200, corsHeaders);
+}
+
+async function handleUpdateData(request, url, env, corsHeaders, member) {
+  const { response, name, collection, items } = await readDataRequest(url, env, corsHeaders);
+  if (response) return response;
+  const index = items.findIndex(i => i.id === url.searchParams.get('id'));
+  if (index === -1) return json({ error: 'Item not found' }, 404, corsHeaders);
+
+  // null removes a field
+  const fields = { ...itemFields(items[index]), ...itemFields(await request.json()) };
+  Object.keys(fields).forEach(k => fields[k] === null && delete fields[k]);
+  const invalid = itemError(fields, collection);
+  if (invalid) return json(invalid, 400, corsHeaders);
+
+  const item = { id: items[index].id, ...fields, created_at: items[index].created_at, updated_at: new Date().toISOString(), updated_by: member };
+  items[index] = item;
+  await saveItems(env, name, items);
+  return json({ item }, 200, corsHeaders);
+}
+
+async function handleDeleteData(url, env, corsHeaders) {
+  const { response, name, items } = await readDataRequest(url, env, corsHeaders);
+  if (response) return response;
+  const remaining = items.filter(i => i.id !== url.searchParams.get('id'));
+  if (remaining.length === items.length) return json({ error: 'Item not found' }, 404, corsHeaders);
+  await saveItems(env, name, remaining);
+  return json({ success: true }, 200, corsHeaders);
 }